@@ -0,0 +1,201 @@
+/**
+ * Township Adjacency for Taiwan Population Density Map
+ * Graph of townships that share a boundary. The boundary data is simplified
+ * and neighbouring polygons rarely share vertices, so two townships are
+ * adjacent when enough of one's boundary runs close to the other's.
+ */
+
+const Adjacency = (function() {
+    // Configuration
+    const config = {
+        tolerance: 3e-4,        // Max gap between the two boundaries (degrees, ~30 m)
+        minSharedLength: 2e-3,  // Shorter contacts are corners, not borders (~200 m)
+        sampleStep: 3e-4        // Spacing of boundary samples (degrees)
+    };
+
+    // Boundary segments [x1, y1, x2, y2] of a Polygon/MultiPolygon
+    function getSegments(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const segments = [];
+        polygons.forEach(rings => rings.forEach(ring => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                segments.push([ring[i][0], ring[i][1], ring[i + 1][0], ring[i + 1][1]]);
+            }
+        }));
+        return segments;
+    }
+
+    function segmentInBBox(s, bbox) {
+        return Math.max(s[0], s[2]) >= bbox[0] && Math.min(s[0], s[2]) <= bbox[2] &&
+            Math.max(s[1], s[3]) >= bbox[1] && Math.min(s[1], s[3]) <= bbox[3];
+    }
+
+    function squaredDistanceToSegment(x, y, s) {
+        const dx = s[2] - s[0];
+        const dy = s[3] - s[1];
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq > 0 ? Math.max(0, Math.min(1, ((x - s[0]) * dx + (y - s[1]) * dy) / lengthSq)) : 0;
+        const ex = s[0] + t * dx - x;
+        const ey = s[1] + t * dy - y;
+        return ex * ex + ey * ey;
+    }
+
+    /**
+     * Length of boundary a that lies within the tolerance of boundary b
+     */
+    function sharedLength(segmentsA, segmentsB) {
+        const toleranceSq = config.tolerance * config.tolerance;
+        let length = 0;
+
+        segmentsA.forEach(s => {
+            const near = segmentsB.filter(other => segmentInBBox(other, [
+                Math.min(s[0], s[2]) - config.tolerance, Math.min(s[1], s[3]) - config.tolerance,
+                Math.max(s[0], s[2]) + config.tolerance, Math.max(s[1], s[3]) + config.tolerance
+            ]));
+            if (near.length === 0) return;
+
+            const segmentLength = Math.hypot(s[2] - s[0], s[3] - s[1]);
+            const samples = Math.max(1, Math.ceil(segmentLength / config.sampleStep));
+            for (let k = 0; k < samples; k++) {
+                const t = (k + 0.5) / samples;
+                const x = s[0] + t * (s[2] - s[0]);
+                const y = s[1] + t * (s[3] - s[1]);
+                if (near.some(other => squaredDistanceToSegment(x, y, other) < toleranceSq)) {
+                    length += segmentLength / samples;
+                }
+            }
+        });
+        return length;
+    }
+
+    /**
+     * Build the graph from GeoJSON features in steps, so the work can be
+     * spread over idle time. keyOf maps a feature's properties to its node
+     * id (e.g. FULLNAME). step(count) links the next count features and
+     * returns true once all are linked; finish() links the rest and returns
+     * the graph.
+     */
+    function createBuilder(features, keyOf) {
+        const index = SpatialIndex.build(features);
+        const keys = features.map(feature => keyOf(feature.properties));
+        const segments = new Map();
+        const graph = new Map(keys.map(key => [key, []]));
+        const position = new Map(features.map((feature, i) => [feature, i]));
+        const pad = config.tolerance;
+        let next = 0;
+
+        function segmentsOf(i) {
+            if (!segments.has(i)) {
+                segments.set(i, getSegments(features[i].geometry));
+            }
+            return segments.get(i);
+        }
+
+        // Link feature i to the later features it shares a boundary with
+        function linkFeature(i) {
+            const bbox = index.getBBox(features[i]);
+            index.search([bbox[0] - pad, bbox[1] - pad, bbox[2] + pad, bbox[3] + pad]).forEach(other => {
+                const j = position.get(other);
+                if (j <= i) return;
+
+                // Only the parts of each boundary near the other polygon matter
+                const otherBBox = index.getBBox(other);
+                const overlap = [
+                    Math.max(bbox[0], otherBBox[0]) - pad, Math.max(bbox[1], otherBBox[1]) - pad,
+                    Math.min(bbox[2], otherBBox[2]) + pad, Math.min(bbox[3], otherBBox[3]) + pad
+                ];
+                const nearA = segmentsOf(i).filter(s => segmentInBBox(s, overlap));
+                const nearB = segmentsOf(j).filter(s => segmentInBBox(s, overlap));
+                if (nearA.length === 0 || nearB.length === 0) return;
+
+                if (sharedLength(nearA, nearB) >= config.minSharedLength) {
+                    graph.get(keys[i]).push(keys[j]);
+                    graph.get(keys[j]).push(keys[i]);
+                }
+            });
+        }
+
+        function step(count) {
+            const end = Math.min(features.length, next + count);
+            for (; next < end; next++) {
+                linkFeature(next);
+            }
+            return next >= features.length;
+        }
+
+        function finish() {
+            step(features.length);
+            return createGraph(graph, keys);
+        }
+
+        return {
+            step,
+            finish
+        };
+    }
+
+    /**
+     * Build the graph from GeoJSON features in one go
+     */
+    function build(features, keyOf) {
+        return createBuilder(features, keyOf).finish();
+    }
+
+    // Queries on a graph: Map id -> neighbour ids
+    function createGraph(graph, keys) {
+        /**
+         * Townships sharing a boundary with id
+         */
+        function getNeighbors(id) {
+            return graph.get(id) || [];
+        }
+
+        /**
+         * Townships adjacent to any of ids but not in ids (one ring outwards)
+         */
+        function ring(ids) {
+            const inside = new Set(ids);
+            const result = new Set();
+            inside.forEach(id => {
+                getNeighbors(id).forEach(neighbor => {
+                    if (!inside.has(neighbor)) result.add(neighbor);
+                });
+            });
+            return [...result];
+        }
+
+        /**
+         * Townships reachable from id through shared boundaries, optionally
+         * without leaving those for which within(id) holds (e.g. one county).
+         * Unbounded, nearly the whole main island is one component.
+         */
+        function component(id, within = () => true) {
+            if (!graph.has(id) || !within(id)) return [];
+
+            const seen = new Set([id]);
+            const queue = [id];
+            while (queue.length > 0) {
+                getNeighbors(queue.shift()).forEach(neighbor => {
+                    if (!seen.has(neighbor) && within(neighbor)) {
+                        seen.add(neighbor);
+                        queue.push(neighbor);
+                    }
+                });
+            }
+            return [...seen];
+        }
+
+        return {
+            getNeighbors,
+            ring,
+            component,
+            nodes: keys
+        };
+    }
+
+    // Public API
+    return {
+        build,
+        createBuilder
+    };
+})();
@@ -2,10 +2,37 @@
  * Taiwan Township Population Map - Leaflet Application
  *
  * Features:
- * - Choropleth map showing population density
+ * - Choropleth map of population density, total population or area
+ * - Selectable classification schemes (quantile, equal interval, Jenks, std dev, custom)
+ * - Year slider with play/pause for multi-year population data
  * - Single-click to select townships
  * - Double-click to deselect townships
- * - Info panel with statistics
+ * - Lasso and box drag-selection (Shift adds, Alt subtracts)
+ * - Undo/redo of selection changes (Ctrl+Z / Ctrl+Shift+Z), batches as one step
+ * - Keyboard navigation (Tab to the map, arrow keys between neighbours, Enter/Space
+ *   toggles) with screen-reader announcements
+ * - Selection, map view and display options kept in the URL hash
+ * - Township search with fuzzy matching
+ * - Adjacency graph: select neighbours, expand by one ring, connected region
+ *   (optionally within the county)
+ * - Named township groups with map outlines and side-by-side comparison
+ * - Bar plots linked to the map (hover highlight, click to zoom, double-click to remove)
+ * - Bar plot linear/sqrt/log scales, sort orders and reference lines
+ * - Density histogram/KDE and Lorenz curve with Gini coefficient
+ * - Map and chart image export (PNG/SVG)
+ * - Zoom-dependent simplified township outlines from TopoJSON
+ * - Data-join report (unmatched townships, unused rows, density checks)
+ * - CSV/JSON upload keyed by TOWNCODE or FULLNAME: any numeric column can be
+ *   mapped and charted, with a join report of unmatched rows
+ * - Info panel with statistics (weighted density, median, national shares, county rank)
+ * - Chinese/English interface (English township names from TOWNENG)
+ * - Base map switcher (CARTO, local tiles or MBTiles set in the URL hash,
+ *   vector outline, none) and a service worker caching the app and data
+ *   for offline use
+ * - Place labels (counties zoomed out, townships zoomed in) at each polygon's
+ *   visual centre, with collision avoidance and selected townships emphasised
+ * - Geometry metrics per township and county (area-weighted centroid, pole of
+ *   inaccessibility, bounding box, perimeter, geodesic area)
  */
 
 // ============================================================================
@@ -14,34 +41,174 @@
 
 const state = {
     map: null,
+    baseMap: null,             // Key of the current base map (BASE_MAPS)
+    baseLayer: null,           // Leaflet layer of the current base map
+    landOutline: null,         // Townships merged into land polygons (outline base map)
+    geometryMetrics: null,     // Fullname -> measureGeometry (centroid, bbox, perimeter, area, pole once used)
+    countyMetrics: null,       // County name -> measureGeometry of its merged townships
+    labelLayer: null,          // Place-name markers in the labels pane
+    placedLabels: [],          // Labels shown: { text, latlng, style, selected, x, y, width, height }
+    showLabels: true,
     geojsonLayer: null,
-    geojsonData: null,
-    populationData: null,
+    geojsonData: null,         // Full-detail features
+    geometrySource: null,      // File the township geometry was loaded from
+    geometryLOD: null,         // Simplified geometry per zoom band
+    geometryLevel: null,       // Level of detail currently drawn
+    populationData: null,      // Population data for the current year (fullname -> record)
+    populationSeries: null,    // All years (year -> fullname -> record)
+    populationSource: null,    // File the population data was loaded from
+    joinReports: {},           // Year -> DataJoin report
+    uploads: [],               // Uploaded tables: { fileName, keyColumn, variables, report }
+    uploadedValues: {},        // Uploaded variable key -> fullname -> value
+    pendingUpload: null,       // Parsed file shown in the column-mapping dialog
+    years: [],
+    currentYear: null,
+    yearPlayTimer: null,
     selectedTownships: new Set(),
+    selectionHistory: null,    // UndoStack of selection changes
+    recordedSelection: new Set(), // Selection as of the last history step
     townshipLayers: new Map(), // Map fullname -> layer
+    spatialIndex: null,        // Grid index over township bounding boxes
+    adjacency: null,           // Township adjacency graph
+    adjacencyBuilder: null,    // Adjacency.createBuilder while building in idle time
+    pendingPoles: new Set(),   // Metrics whose pole labels wait for, computed in idle time
+    groups: [],                // Named groups: { name, color, townships: [fullname] }
+    groupLayer: null,          // Group outlines on the map
+    compareGroups: false,      // Bar plots show one bar per group
+    distributionScope: 'selection', // Distribution charts: 'selection' | 'all'
+    barMetric: 'population',   // Mapped variable plotted by the second bar chart
+    hoveredTownship: null,
+    keyboardTownship: null,    // Township in the tab order (roving tabindex)
+    announceTimers: {},        // Live region id -> pending announcement
+    selectionAnnouncement: null, // Last selection summary announced
+    selectionTool: null,       // 'lasso' | 'box' | null
+    dragSelection: null,       // In-progress drag: { points, shapeLayer }
+    urlUpdateTimer: null,
+    searchResults: [],
+    searchActiveIndex: -1,
+    searchHighlight: null,     // { fullname, timer } for the flashed search result
     lastClickTime: 0,
     lastClickedTownship: null,
-    totalTownships: 0
+    totalTownships: 0,
+    mappedVariable: 'density',
+    classification: {
+        scheme: 'manual',
+        classCount: 7,
+        manualBreaks: {},    // Variable key -> user-defined breaks
+        breaks: [],          // Lower bound of each class
+        colors: []
+    }
 };
 
 // Double-click threshold in milliseconds
 const DOUBLE_CLICK_THRESHOLD = 300;
 
-// Color scale for choropleth (White to Reddish-Brown)
-// Grades: < 10, 10-500, 500-1000, 1000-2000, 2000-5000, 5000-10000, 10000-20000, 20000-30000, 30000+
-const COLOR_GRADES = [0, 10, 500, 1000, 2000, 5000, 10000, 20000, 30000];
-// Interpolated from white (#ffffff) to reddish-brown (#AA4C2C)
-const COLOR_PALETTE = [
-    '#ffffff',  // < 10: white
-    '#f9ece8',  // 10-500: very light
-    '#f3d9d1',  // 500-1000: light
-    '#e8bfb1',  // 1000-2000: lighter
-    '#d9a08c',  // 2000-5000: pale
-    '#ca8167',  // 5000-10000: medium light
-    '#bb6242',  // 10000-20000: medium
-    '#aa4c2c',  // 20000-30000: darker
-    '#aa4c2c'   // 30000+: target reddish-brown
-];
+// Data files
+// Township geometry is loaded from TopoJSON (shared borders stored once,
+// quantised), built from the GeoJSON with:
+//   geo2topo -q 1e6 townships=data/taiwan_townships.geojson > data/taiwan_townships.topojson
+// When it is missing, the GeoJSON is fetched and converted in the browser.
+// The time-series file is keyed by year, each year holding the same shape as
+// the single snapshot: { "2023": { "臺北市中正區": { population, area, density }, ... }, ... }
+// When it is missing, the snapshot is loaded as a single year.
+const DATA_FILES = {
+    topology: 'data/taiwan_townships.topojson',
+    geojson: 'data/taiwan_townships.geojson',
+    timeSeries: 'data/population_timeseries.json',
+    snapshot: 'data/population_data.json'
+};
+// Vintage of the snapshot: household-registration population at the end of
+// December 2024 (its national total, 23,400,220, is the Ministry of the
+// Interior figure for that month). Update both when the file is replaced.
+const SNAPSHOT_YEAR = '2024';
+const SNAPSHOT_DATE = '2024-12-31';
+
+// TopoJSON object holding the townships, and quantisation used when the
+// topology is built from the GeoJSON fallback
+const TOPOLOGY_OBJECT = 'townships';
+const TOPOLOGY_QUANTIZATION = 1e6;
+
+// Delay between years while the year slider is playing
+const YEAR_PLAY_INTERVAL = 1200;
+
+// Overlays inside the map container that must not trigger township selection
+const MAP_OVERLAY_SELECTOR = '.map-legend, .map-year-control, .map-tools, .map-search, .map-basemap, .leaflet-popup';
+
+// Delay before writing the URL hash after a change (ms)
+const URL_UPDATE_DELAY = 300;
+
+// Search result highlight
+const SEARCH_HIGHLIGHT_STYLE = {
+    weight: 4,
+    color: '#e85d4c',
+    opacity: 1
+};
+const SEARCH_HIGHLIGHT_DURATION = 3000;
+const SEARCH_MAX_ZOOM = 12;
+
+// Arrow key -> screen direction for moving between townships
+const KEYBOARD_DIRECTIONS = {
+    ArrowUp: [0, -1],
+    ArrowDown: [0, 1],
+    ArrowLeft: [-1, 0],
+    ArrowRight: [1, 0]
+};
+
+// Pause before a live region is updated (ms)
+const ANNOUNCE_DELAY = 300;
+
+// Minimum pointer movement (px) between recorded lasso vertices
+const LASSO_MIN_STEP = 4;
+
+// Outline of the shape being drawn with the lasso/box tools
+const DRAG_SHAPE_STYLE = {
+    color: '#293336',
+    weight: 2,
+    dashArray: '4,4',
+    fillColor: '#293336',
+    fillOpacity: 0.08,
+    interactive: false
+};
+
+// Variables the choropleth can be coloured by.
+// label and unit are I18n message keys; defaultBreaks are the initial
+// user-defined breaks; colours come from Classification.getColors
+// (white to dark reddish-brown). Uploaded columns are added at runtime
+// with source: 'upload' and literal label and unit.
+const MAPPED_VARIABLES = {
+    density: {
+        label: 'variable.density',
+        unit: 'unit.density',
+        decimals: 0,
+        // < 10, 10-500, 500-1000, 1000-2000, 2000-5000, 5000-10000, 10000-20000, 20000-30000, 30000+
+        defaultBreaks: [10, 500, 1000, 2000, 5000, 10000, 20000, 30000]
+    },
+    population: {
+        label: 'variable.population',
+        unit: 'unit.population',
+        decimals: 0,
+        defaultBreaks: [5000, 10000, 25000, 50000, 100000, 200000, 400000]
+    },
+    area: {
+        label: 'variable.area',
+        unit: 'unit.area',
+        decimals: 1,
+        defaultBreaks: [5, 10, 25, 50, 100, 200, 400]
+    }
+};
+
+// Fill for townships without a joined population record
+const NO_DATA_COLOR = '#cfcac2';
+
+// Township groups: outline colours (chosen to stand out on the red ramp)
+// and outline style
+const GROUP_COLORS = ['#1f77b4', '#2ca02c', '#9467bd', '#17becf', '#e377c2', '#bcbd22', '#ff7f0e', '#8c564b'];
+const GROUP_OUTLINE_STYLE = {
+    weight: 3,
+    opacity: 0.9,
+    fill: false,
+    interactive: false
+};
 
 // Border styles
 const BORDER_UNSELECTED = {
@@ -60,18 +227,110 @@ const BORDER_SELECTED = {
 // Utility Functions
 // ============================================================================
 
-function getColor(density) {
-    for (let i = COLOR_GRADES.length - 1; i >= 0; i--) {
-        if (density >= COLOR_GRADES[i]) {
-            return COLOR_PALETTE[i];
-        }
-    }
-    return COLOR_PALETTE[0];
+function getColor(value) {
+    const { breaks, colors } = state.classification;
+    return colors[Classification.getClassIndex(value, breaks)];
 }
 
 function formatNumber(num) {
     if (num === null || num === undefined) return 'N/A';
-    return num.toLocaleString('zh-TW');
+    return I18n.formatNumber(num);
+}
+
+function formatPercent(ratio) {
+    if (!isFinite(ratio)) return 'N/A';
+    return I18n.formatNumber(ratio, { style: 'percent', maximumFractionDigits: 1 });
+}
+
+// Township area with two decimals, as in the info box and popups
+function formatArea(area) {
+    return area ? I18n.formatNumber(area, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : 'N/A';
+}
+
+// Display name of a township (FULLNAME, or the English name)
+function getTownshipLabel(fullname) {
+    const layer = state.townshipLayers.get(fullname);
+    return layer ? I18n.townshipName(layer.feature.properties) : fullname;
+}
+
+// Geometry.measure plus the full-detail geometry, whose pole is costlier
+// and computed by getPole when a label or popup first needs it
+function measureGeometry(geometry) {
+    return { ...Geometry.measure(geometry), geometry, pole: null };
+}
+
+function getPole(metrics) {
+    if (!metrics.pole) {
+        metrics.pole = Geometry.pole(metrics.geometry);
+    }
+    return metrics.pole;
+}
+
+// Pole for a label, or null while it is computed in idle time; the labels
+// are redrawn once every pending pole is known
+function getLabelPole(metrics) {
+    if (metrics.pole) return metrics.pole;
+
+    if (state.pendingPoles.size === 0) {
+        whenIdle(computePendingPoles);
+    }
+    state.pendingPoles.add(metrics);
+    return null;
+}
+
+function computePendingPoles(deadline) {
+    // One polygon at a time; a county takes tens of ms
+    for (const metrics of state.pendingPoles) {
+        if (deadline.timeRemaining() <= 1) break;
+        getPole(metrics);
+        state.pendingPoles.delete(metrics);
+    }
+
+    if (state.pendingPoles.size > 0) {
+        whenIdle(computePendingPoles);
+    } else {
+        updateLabels();
+    }
+}
+
+// Geometry metrics of a township; bounds and points as Leaflet objects
+function getTownshipMetrics(fullname) {
+    return state.geometryMetrics.get(fullname);
+}
+
+function getTownshipBounds(fullname) {
+    const [minLng, minLat, maxLng, maxLat] = getTownshipMetrics(fullname).bbox;
+    return L.latLngBounds([minLat, minLng], [maxLat, maxLng]);
+}
+
+function getTownshipCentroid(fullname) {
+    const [lng, lat] = getTownshipMetrics(fullname).centroid;
+    return L.latLng(lat, lng);
+}
+
+// Format a value of a mapped variable with that variable's precision
+function formatVariableValue(variable, value) {
+    if (value === null || value === undefined) return 'N/A';
+    const decimals = MAPPED_VARIABLES[variable].decimals;
+    return I18n.formatNumber(value, {
+        minimumFractionDigits: 0,
+        maximumFractionDigits: decimals
+    });
+}
+
+// Display label and unit of a mapped variable
+function getVariableLabel(key) {
+    const variable = MAPPED_VARIABLES[key];
+    return isUploadedVariable(key) ? variable.label : I18n.t(variable.label);
+}
+
+function getVariableUnit(key) {
+    const variable = MAPPED_VARIABLES[key];
+    return isUploadedVariable(key) ? variable.unit : I18n.t(variable.unit);
+}
+
+function isUploadedVariable(key) {
+    return MAPPED_VARIABLES[key].source === 'upload';
 }
 
 function showToast(message) {
@@ -91,6 +350,21 @@ function showToast(message) {
     }, 2000);
 }
 
+// Run callback(deadline) when the browser is idle; where requestIdleCallback
+// is missing, soon after with a deadline of IDLE_FALLBACK_SLICE ms
+const IDLE_FALLBACK_SLICE = 10;
+
+function whenIdle(callback) {
+    if ('requestIdleCallback' in window) {
+        window.requestIdleCallback(callback);
+        return;
+    }
+    setTimeout(() => {
+        const start = performance.now();
+        callback({ timeRemaining: () => Math.max(0, IDLE_FALLBACK_SLICE - (performance.now() - start)) });
+    }, 0);
+}
+
 // ============================================================================
 // Map Initialization
 // ============================================================================
@@ -99,6 +373,62 @@ function showToast(message) {
 const TAIWAN_BOUNDS = [[21.6, 119.3], [25.7, 122.3]];
 const TAIWAN_CENTER = [23.65, 120.8];
 
+// Base maps offered by the layer switcher. 'tiles' base maps load z/x/y
+// tiles from url; 'outline' draws the coastline from the township geometry
+// and needs no network; 'none' leaves the background plain.
+//
+// Local tiles have no fixed location: their URL template comes from the
+// URL hash parameter named by param, and the option is offered only then.
+//   #tiles=tiles/{z}/{x}/{y}.png
+//     A z/x/y PNG directory served with the app, e.g. written by
+//     `gdal2tiles.py --xyz -z 6-14 taiwan.tif tiles` or QGIS "Generate XYZ
+//     tiles (Directory)".
+//   #mbtiles=http://localhost:8000/services/taiwan/tiles/{z}/{x}/{y}.png
+//     An MBTiles file served as tiles, e.g. by `mbtileserver --dir .`
+//     (/services/<name>/tiles/...) or `tileserver-gl-light taiwan.mbtiles`
+//     (/data/<name>/{z}/{x}/{y}.png). A server on another origin needs CORS
+//     for image export.
+// The parameters stay in the hash, so a bookmarked link keeps them.
+const BASE_MAPS = {
+    carto: {
+        type: 'tiles',
+        url: 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png',
+        options: {
+            attribution: '&copy; <a href="https://carto.com/">CARTO</a>',
+            subdomains: 'abcd',
+            maxZoom: 19
+        }
+    },
+    local: {
+        type: 'tiles',
+        param: 'tiles',
+        url: null,
+        options: { maxZoom: 14 }
+    },
+    mbtiles: {
+        type: 'tiles',
+        param: 'mbtiles',
+        url: null,
+        options: { maxZoom: 14 }
+    },
+    outline: { type: 'outline' },
+    none: { type: 'none' }
+};
+const DEFAULT_BASE_MAP = 'carto';
+const BASE_MAP_STORAGE_KEY = 'taiwan-map-basemap';
+
+// Used when the chosen tiles cannot be loaded (offline, missing directory)
+const BASE_MAP_FALLBACK = 'outline';
+
+// Pane between tiles (200) and townships (400) for the outline base map
+const BASE_MAP_PANE = 'basemap';
+const OUTLINE_STYLE = {
+    color: '#8f9a9d',
+    weight: 1,
+    fillColor: '#f4f1ea',
+    fillOpacity: 1
+};
+
 function initMap() {
     // Create map centered on Taiwan main island (16:9 layout)
     state.map = L.map('map', {
@@ -113,12 +443,8 @@ function initMap() {
     // Fit map to Taiwan bounds
     state.map.fitBounds(TAIWAN_BOUNDS);
 
-    // Add simple tile layer (CartoDB Positron - clean and minimal)
-    L.tileLayer('https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png', {
-        attribution: '&copy; <a href="https://carto.com/">CARTO</a>',
-        subdomains: 'abcd',
-        maxZoom: 19
-    }).addTo(state.map);
+    // Base map is added by setupBaseMap once the township outline is loaded
+    state.map.createPane(BASE_MAP_PANE).style.zIndex = 250;
 }
 
 // Reset map to default view
@@ -132,24 +458,25 @@ function resetMapView() {
 
 async function loadData() {
     try {
-        // Load GeoJSON
-        const geojsonResponse = await fetch('data/taiwan_townships.geojson');
-        state.geojsonData = await geojsonResponse.json();
-
-        // Load population data
-        const populationResponse = await fetch('data/population_data.json');
-        state.populationData = await populationResponse.json();
-
-        // Merge population data into GeoJSON properties
-        state.geojsonData.features.forEach(feature => {
-            const fullname = feature.properties.FULLNAME;
-            const popData = state.populationData[fullname];
-            if (popData) {
-                feature.properties.population = popData.population;
-                feature.properties.area = popData.area;
-                feature.properties.density = popData.density;
-            }
-        });
+        // Load township geometry and its levels of detail
+        const topology = await loadTopology();
+        state.geometryLOD = GeometryLOD.create(topology, TOPOLOGY_OBJECT);
+        state.geojsonData = { type: 'FeatureCollection', features: state.geometryLOD.features };
+        state.spatialIndex = SpatialIndex.build(state.geojsonData.features);
+
+        // Centroids, label points, extents and sizes of townships and of
+        // counties (townships merged along shared borders)
+        const geometries = topology.objects[TOPOLOGY_OBJECT].geometries;
+        state.landOutline = topojson.merge(topology, geometries);
+        state.geometryMetrics = new Map(state.geojsonData.features
+            .map(f => [f.properties.FULLNAME, measureGeometry(f.geometry)]));
+        state.countyMetrics = new Map(d3.groups(geometries, g => g.properties.COUNTYNAME)
+            .map(([county, countyGeometries]) => [county, measureGeometry(topojson.merge(topology, countyGeometries))]));
+
+        // Load population data (all years)
+        state.populationSeries = joinPopulationSeries(await loadPopulationSeries());
+        state.years = Object.keys(state.populationSeries).sort();
+        applyYearData(state.years[state.years.length - 1]);
 
         state.totalTownships = state.geojsonData.features.length;
         updateStats();
@@ -161,23 +488,212 @@ async function loadData() {
     }
 }
 
+// Load the TopoJSON geometry, falling back to converting the GeoJSON
+async function loadTopology() {
+    try {
+        const response = await fetch(DATA_FILES.topology);
+        if (response.ok) {
+            state.geometrySource = DATA_FILES.topology;
+            return await response.json();
+        }
+    } catch (error) {
+        console.warn('TopoJSON geometry not available, using GeoJSON:', error);
+    }
+
+    const geojsonResponse = await fetch(DATA_FILES.geojson);
+    state.geometrySource = DATA_FILES.geojson;
+    return topojson.topology({ [TOPOLOGY_OBJECT]: await geojsonResponse.json() }, TOPOLOGY_QUANTIZATION);
+}
+
+// Load the multi-year file, falling back to the single snapshot as one year
+async function loadPopulationSeries() {
+    try {
+        const response = await fetch(DATA_FILES.timeSeries);
+        if (response.ok) {
+            const series = await response.json();
+            if (Object.keys(series).length > 0) {
+                state.populationSource = DATA_FILES.timeSeries;
+                return series;
+            }
+        }
+    } catch (error) {
+        console.warn('Time-series data not available, using snapshot:', error);
+    }
+
+    const snapshotResponse = await fetch(DATA_FILES.snapshot);
+    state.populationSource = DATA_FILES.snapshot;
+    return { [SNAPSHOT_YEAR]: await snapshotResponse.json() };
+}
+
+// Re-key every year's records by feature FULLNAME (name normalisation with
+// TOWNCODE fallback) and keep each year's join report
+function joinPopulationSeries(series) {
+    const joined = {};
+    state.joinReports = {};
+
+    Object.entries(series).forEach(([year, records]) => {
+        const { data, report } = DataJoin.join(state.geojsonData.features, records);
+        joined[year] = data;
+        state.joinReports[year] = report;
+
+        const issues = DataJoin.countIssues(report);
+        if (issues > 0) {
+            console.warn(`Data join ${year}: ${issues} issue(s)`, report);
+        }
+    });
+
+    return joined;
+}
+
+// Make a year current and merge its population data into GeoJSON properties
+function applyYearData(year) {
+    state.currentYear = year;
+    state.populationData = state.populationSeries[year] || {};
+
+    state.geojsonData.features.forEach(feature => {
+        const popData = state.populationData[feature.properties.FULLNAME];
+        feature.properties.population = popData ? popData.population : undefined;
+        feature.properties.area = popData ? popData.area : undefined;
+        feature.properties.density = popData ? popData.density : undefined;
+    });
+}
+
+// ============================================================================
+// Year Slider
+// ============================================================================
+
+function setupYearControl() {
+    const control = document.getElementById('year-control');
+    const slider = document.getElementById('year-slider');
+
+    // Keep slider interaction from panning the map
+    L.DomEvent.disableClickPropagation(control);
+    L.DomEvent.disableScrollPropagation(control);
+
+    // Only worth showing when there is more than one year
+    if (state.years.length < 2) {
+        control.style.display = 'none';
+        return;
+    }
+
+    control.style.display = 'flex';
+    slider.max = state.years.length - 1;
+    slider.value = state.years.indexOf(state.currentYear);
+    updateYearLabel();
+
+    slider.addEventListener('input', () => {
+        stopYearAnimation();
+        setYear(state.years[Number(slider.value)]);
+    });
+    document.getElementById('btn-year-play').addEventListener('click', toggleYearAnimation);
+}
+
+function setYear(year) {
+    if (!state.populationSeries[year] || year === state.currentYear) return;
+
+    applyYearData(year);
+    document.getElementById('year-slider').value = state.years.indexOf(year);
+    updateYearLabel();
+
+    // Re-colour the map; styleFeature keeps selected borders
+    state.geojsonLayer.setStyle(styleFeature);
+    createLegend();
+    updateDataReportButton();
+    updateUI();
+}
+
+function updateYearLabel() {
+    document.getElementById('year-label').textContent = state.currentYear;
+}
+
+function toggleYearAnimation() {
+    if (state.yearPlayTimer) {
+        stopYearAnimation();
+    } else {
+        startYearAnimation();
+    }
+}
+
+function startYearAnimation() {
+    // Restart from the first year when already at the end
+    if (state.years.indexOf(state.currentYear) === state.years.length - 1) {
+        setYear(state.years[0]);
+    }
+
+    state.yearPlayTimer = setInterval(() => {
+        const nextIndex = state.years.indexOf(state.currentYear) + 1;
+        setYear(state.years[nextIndex]);
+
+        // Stop on the last year
+        if (nextIndex >= state.years.length - 1) {
+            stopYearAnimation();
+        }
+    }, YEAR_PLAY_INTERVAL);
+
+    const btn = document.getElementById('btn-year-play');
+    btn.textContent = '❚❚';
+    btn.title = I18n.t('year.pause');
+}
+
+function stopYearAnimation() {
+    if (!state.yearPlayTimer) return;
+
+    clearInterval(state.yearPlayTimer);
+    state.yearPlayTimer = null;
+
+    const btn = document.getElementById('btn-year-play');
+    btn.textContent = '▶';
+    btn.title = I18n.t('year.play');
+}
+
 // ============================================================================
 // GeoJSON Layer
 // ============================================================================
 
+// Layers are drawn from the simplified geometry for the current zoom; the
+// features share their properties objects with state.geojsonData
 function createGeoJSONLayer() {
-    state.geojsonLayer = L.geoJSON(state.geojsonData, {
+    state.geometryLevel = state.geometryLOD.levelForZoom(state.map.getZoom());
+    const geometries = state.geometryLOD.getGeometries(state.geometryLevel);
+    const features = state.geojsonData.features.map((feature, i) => ({
+        type: 'Feature',
+        properties: feature.properties,
+        geometry: geometries[i]
+    }));
+
+    state.geojsonLayer = L.geoJSON({ type: 'FeatureCollection', features }, {
         style: styleFeature,
         onEachFeature: onEachFeature
     }).addTo(state.map);
+
+    state.map.on('zoomend', updateGeometryLevel);
+}
+
+// Swap township outlines to the level of detail for the new zoom
+function updateGeometryLevel() {
+    const level = state.geometryLOD.levelForZoom(state.map.getZoom());
+    if (level === state.geometryLevel) return;
+
+    state.geometryLevel = level;
+    const geometries = state.geometryLOD.getGeometries(level);
+    state.geojsonData.features.forEach((feature, i) => {
+        const layer = state.townshipLayers.get(feature.properties.FULLNAME);
+        const geometry = geometries[i];
+        if (!layer || !geometry) return;
+
+        layer.feature.geometry = geometry;
+        layer.setLatLngs(L.GeoJSON.coordsToLatLngs(geometry.coordinates, geometry.type === 'Polygon' ? 1 : 2));
+    });
+
+    renderGroupOutlines();
 }
 
 function styleFeature(feature) {
     const isSelected = state.selectedTownships.has(feature.properties.FULLNAME);
-    const density = feature.properties.density || 0;
+    const value = feature.properties[state.mappedVariable];
 
     return {
-        fillColor: getColor(density),
+        fillColor: value === undefined ? NO_DATA_COLOR : getColor(value),
         weight: isSelected ? BORDER_SELECTED.weight : BORDER_UNSELECTED.weight,
         opacity: isSelected ? BORDER_SELECTED.opacity : BORDER_UNSELECTED.opacity,
         color: isSelected ? BORDER_SELECTED.color : BORDER_UNSELECTED.color,
@@ -193,21 +709,20 @@ function onEachFeature(feature, layer) {
 
     // Event handlers (no tooltip - use info box instead)
     // Using mouseup instead of click as a workaround for click event not firing
+    // Hover is hit-tested on map mousemove (see handleMapMouseMove)
     layer.on({
         mouseup: handleMouseUp,
-        dblclick: handleDoubleClick,
-        mouseover: handleMouseOver,
-        mouseout: handleMouseOut
+        dblclick: handleDoubleClick
     });
 }
 
 function createPopupContent(props) {
     return `
-        <div class="popup-title">${props.FULLNAME}</div>
+        <div class="popup-title">${I18n.townshipName(props)}</div>
         <div class="popup-info">
-            <span>👥 人口: ${formatNumber(props.population)}</span>
-            <span>📐 面積: ${props.area ? props.area.toFixed(2) : 'N/A'} km²</span>
-            <span>📊 密度: ${formatNumber(props.density)} 人/km²</span>
+            <span>👥 ${I18n.t('field.population')}: ${formatNumber(props.population)}</span>
+            <span>📐 ${I18n.t('field.area')}: ${formatArea(props.area)} km²</span>
+            <span>📊 ${I18n.t('field.density')}: ${formatNumber(props.density)} ${I18n.t('unit.density')}</span>
         </div>
     `;
 }
@@ -277,10 +792,41 @@ function handleDoubleClick(e) {
     L.DomEvent.preventDefault(e);
 }
 
-function handleMouseOver(e) {
-    const layer = e.target;
-    const fullname = layer.feature.properties.FULLNAME;
-    const props = layer.feature.properties;
+// Hover uses the spatial index like clicks do, rather than per-layer
+// mouseover/mouseout events
+function handleMapMouseMove(e) {
+    setHoveredTownship(findTownshipAt(e.latlng));
+}
+
+function handleMapMouseOut() {
+    setHoveredTownship(null);
+}
+
+function setHoveredTownship(fullname) {
+    if (fullname === state.hoveredTownship) return;
+
+    const previous = state.hoveredTownship;
+    state.hoveredTownship = fullname;
+    highlightTownshipBars(fullname);
+
+    if (previous && !state.selectedTownships.has(previous)) {
+        const layer = state.townshipLayers.get(previous);
+        if (layer) {
+            layer.setStyle({
+                weight: BORDER_UNSELECTED.weight,
+                color: BORDER_UNSELECTED.color,
+                opacity: BORDER_UNSELECTED.opacity
+            });
+        }
+    }
+
+    if (!fullname) {
+        clearInfoBox();
+        return;
+    }
+
+    const layer = state.townshipLayers.get(fullname);
+    if (!layer) return;
 
     if (!state.selectedTownships.has(fullname)) {
         layer.setStyle({
@@ -294,33 +840,22 @@ function handleMouseOver(e) {
     // bringSelectedToFront();
 
     // Update info box
-    updateInfoBox(props);
-}
-
-function handleMouseOut(e) {
-    const layer = e.target;
-    const fullname = layer.feature.properties.FULLNAME;
-
-    if (!state.selectedTownships.has(fullname)) {
-        layer.setStyle({
-            weight: BORDER_UNSELECTED.weight,
-            color: BORDER_UNSELECTED.color,
-            opacity: BORDER_UNSELECTED.opacity
-        });
-    }
-
-    // Clear info box
-    clearInfoBox();
+    updateInfoBox(layer.feature.properties);
+    announce('announce-hover', describeTownship(layer.feature.properties));
 }
 
 function updateInfoBox(props) {
     const infoBox = document.getElementById('map-info-box');
     if (infoBox) {
+        // Highlight the line for the variable the map is coloured by
+        const mapped = key => key === state.mappedVariable ? ' class="mapped"' : '';
         infoBox.innerHTML = `
-            <h4>${props.FULLNAME}</h4>
-            <p>人口: ${formatNumber(props.population)}</p>
-            <p>面積: ${props.area ? props.area.toFixed(2) : 'N/A'} km²</p>
-            <p>密度: ${formatNumber(props.density)} 人/km²</p>
+            <h4>${I18n.townshipName(props)}</h4>
+            <p${mapped('population')}>${I18n.t('field.population')}: ${formatNumber(props.population)}</p>
+            <p${mapped('area')}>${I18n.t('field.area')}: ${formatArea(props.area)} km²</p>
+            <p${mapped('density')}>${I18n.t('field.density')}: ${formatNumber(props.density)} ${I18n.t('unit.density')}</p>
+            ${isUploadedVariable(state.mappedVariable) ? `<p class="mapped">${escapeHTML(getVariableLabel(state.mappedVariable))}: ${formatVariableValue(state.mappedVariable, props[state.mappedVariable])} ${escapeHTML(getVariableUnit(state.mappedVariable))}</p>` : ''}
+            <p class="info-neighbors">${I18n.t('field.neighbors')}: ${formatNeighborNames(props.FULLNAME)}</p>
         `;
         infoBox.style.display = 'block';
     }
@@ -349,6 +884,7 @@ function selectTownship(fullname, updateUIFlag = true) {
             opacity: BORDER_SELECTED.opacity
         });
         layer.bringToFront();
+        setTownshipPressed(layer, true);
     }
 
     if (updateUIFlag) {
@@ -367,6 +903,7 @@ function deselectTownship(fullname, updateUIFlag = true) {
             color: BORDER_UNSELECTED.color,
             opacity: BORDER_UNSELECTED.opacity
         });
+        setTownshipPressed(layer, false);
     }
 
     // Bring remaining selected layers to front
@@ -377,6 +914,34 @@ function deselectTownship(fullname, updateUIFlag = true) {
     }
 }
 
+function toggleTownship(fullname) {
+    if (state.selectedTownships.has(fullname)) {
+        deselectTownship(fullname);
+    } else {
+        selectTownship(fullname);
+    }
+}
+
+// Replace the selection with the given townships in one batch
+function setSelection(names) {
+    const target = new Set(names);
+
+    [...state.selectedTownships].forEach(name => {
+        if (!target.has(name)) {
+            deselectTownship(name, false);
+        }
+    });
+
+    target.forEach(name => {
+        if (!state.selectedTownships.has(name) && state.townshipLayers.has(name)) {
+            selectTownship(name, false);
+        }
+    });
+
+    bringSelectedToFront();
+    updateUI();
+}
+
 function bringSelectedToFront() {
     // Bring all selected layers to front
     state.selectedTownships.forEach(fullname => {
@@ -396,6 +961,7 @@ function clearAllSelections() {
                 color: BORDER_UNSELECTED.color,
                 opacity: BORDER_UNSELECTED.opacity
             });
+            setTownshipPressed(layer, false);
         }
     });
 
@@ -445,98 +1011,398 @@ function selectCounty(countyName) {
 }
 
 // ============================================================================
-// UI Updates
+// Selection History
 // ============================================================================
 
-function updateUI() {
-    updateStats();
-    updateSelectedList();
-    updateCountyButtons();
-    updateExportButton();
-    updateBarPlots();
+// Every selection change ends in one updateUI call, so recording the
+// difference there makes each batch (county, lasso, clear) a single step
+function recordSelectionHistory() {
+    if (!state.selectionHistory) return;
+
+    state.selectionHistory.push(UndoStack.diff(state.recordedSelection, state.selectedTownships));
+    state.recordedSelection = new Set(state.selectedTownships);
+    updateHistoryButtons();
 }
 
-function updateBarPlots() {
-    // Check if BarPlots module is available
-    if (typeof BarPlots === 'undefined') {
-        console.warn('BarPlots module not found');
-        return;
-    }
+// Start the history from the current selection (e.g. one restored from the URL)
+function resetSelectionHistory() {
+    state.selectionHistory.clear();
+    state.recordedSelection = new Set(state.selectedTownships);
+    updateHistoryButtons();
+}
 
-    // Prepare data for bar plots
-    const selectedData = [];
-    state.selectedTownships.forEach(fullname => {
-        const data = state.populationData[fullname];
-        if (data) {
-            selectedData.push({
-                name: fullname,
-                population: data.population,
-                density: data.density,
-                area: data.area
-            });
+function undoSelection() {
+    applySelectionStep(state.selectionHistory.undo());
+}
+
+function redoSelection() {
+    applySelectionStep(state.selectionHistory.redo());
+}
+
+function applySelectionStep(step) {
+    if (!step) return;
+
+    step.removed.forEach(name => deselectTownship(name, false));
+    step.added.forEach(name => {
+        if (state.townshipLayers.has(name)) {
+            selectTownship(name, false);
         }
     });
 
-    console.log('Updating bar plots with', selectedData.length, 'items');
-
-    try {
-        BarPlots.update(selectedData);
-    } catch (e) {
-        console.error('Error updating bar plots:', e);
-    }
+    // Already in the history; don't record it as a new change
+    state.recordedSelection = new Set(state.selectedTownships);
+    bringSelectedToFront();
+    updateUI();
 }
 
-function updateStats() {
-    const count = state.selectedTownships.size;
-    document.getElementById('stat-count').textContent = `${count} / ${state.totalTownships}`;
+// "選取 3、取消 40 個鄉鎮市區"
+function describeSelectionStep(step) {
+    const parts = [];
+    if (step.added.length > 0) parts.push(I18n.t('history.added', { count: step.added.length }));
+    if (step.removed.length > 0) parts.push(I18n.t('history.removed', { count: step.removed.length }));
+    return I18n.t('history.step', { parts: parts.join(I18n.t('common.separator')) });
+}
 
-    const summaryStats = document.getElementById('summary-stats');
+function updateHistoryButtons() {
+    const history = state.selectionHistory;
+    const undoBtn = document.getElementById('btn-undo');
+    const redoBtn = document.getElementById('btn-redo');
+
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+    undoBtn.title = history.canUndo()
+        ? `${I18n.t('history.undo')}: ${describeSelectionStep(history.peekUndo())} (Ctrl+Z)`
+        : `${I18n.t('history.undo')} (Ctrl+Z)`;
+    redoBtn.title = history.canRedo()
+        ? `${I18n.t('history.redo')}: ${describeSelectionStep(history.peekRedo())} (Ctrl+Shift+Z)`
+        : `${I18n.t('history.redo')} (Ctrl+Shift+Z)`;
+}
 
-    if (count > 0) {
-        summaryStats.style.display = 'block';
+function setupSelectionHistory() {
+    state.selectionHistory = UndoStack.create();
+    state.recordedSelection = new Set(state.selectedTownships);
 
-        let totalPopulation = 0;
-        let totalArea = 0;
+    document.getElementById('btn-undo').addEventListener('click', undoSelection);
+    document.getElementById('btn-redo').addEventListener('click', redoSelection);
 
-        state.selectedTownships.forEach(fullname => {
-            const data = state.populationData[fullname];
-            if (data) {
-                totalPopulation += data.population;
-                totalArea += data.area;
-            }
-        });
+    document.addEventListener('keydown', e => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
 
-        const avgDensity = totalArea > 0 ? Math.round(totalPopulation / totalArea) : 0;
+        // Text fields keep their own undo
+        if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable]')) return;
 
-        document.getElementById('stat-population').textContent = formatNumber(totalPopulation);
-        document.getElementById('stat-area').textContent = `${formatNumber(Math.round(totalArea))} km²`;
-        document.getElementById('stat-density').textContent = `${formatNumber(avgDensity)} 人/km²`;
-    } else {
-        summaryStats.style.display = 'none';
-    }
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            undoSelection();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            redoSelection();
+        } else {
+            return;
+        }
+        e.preventDefault();
+    });
 }
 
-function updateSelectedList() {
-    const container = document.getElementById('selected-townships');
-
-    if (state.selectedTownships.size === 0) {
-        container.innerHTML = '<p class="empty-message">點擊地圖選擇鄉鎮市區</p>';
-        return;
-    }
+// ============================================================================
+// UI Updates
+// ============================================================================
+
+function updateUI() {
+    recordSelectionHistory();
+    updateStats();
+    updateSelectedList();
+    updateCountyButtons();
+    updateExportButton();
+    updateNeighborButtons();
+    updateGroupList();
+    updateBarPlots();
+    updateDistributionPlots();
+    updateLabels();
+    announceSelectionTotals();
+    scheduleUrlStateUpdate();
+}
+
+// Bar plots and map are linked both ways: hovering a bar highlights its
+// township, clicking zooms to it, double-clicking removes it from the selection
+function setupBarPlotLinks() {
+    if (typeof BarPlots === 'undefined') return;
+
+    // Scale, sort and reference-line options apply to both charts
+    const scaleSelect = document.getElementById('bar-scale');
+    const sortSelect = document.getElementById('bar-sort');
+    const referencesCheckbox = document.getElementById('bar-references');
+    scaleSelect.addEventListener('change', () => BarPlots.setOptions({ scale: scaleSelect.value }));
+    sortSelect.addEventListener('change', () => BarPlots.setOptions({ sort: sortSelect.value }));
+    referencesCheckbox.addEventListener('change', () => BarPlots.setOptions({ showReferences: referencesCheckbox.checked }));
+
+    const metricSelect = document.getElementById('bar-metric');
+    renderBarMetricOptions();
+    setBarMetric(state.barMetric);
+    metricSelect.addEventListener('change', () => setBarMetric(metricSelect.value));
+
+    const distributionType = document.getElementById('distribution-type');
+    distributionType.addEventListener('change', () => BarPlots.setOptions({ distribution: distributionType.value }));
+    document.getElementById('distribution-scope').addEventListener('change', e => {
+        state.distributionScope = e.target.value;
+        updateDistributionPlots();
+    });
+
+    BarPlots
+        .on('hover', item => {
+            setHoveredTownship(item && !isComparingGroups() ? item.name : null);
+        })
+        .on('click', item => {
+            if (isComparingGroups()) {
+                zoomToGroup(item.name);
+            } else {
+                focusTownship(item.name);
+            }
+        })
+        .on('remove', item => {
+            if (!isComparingGroups() && state.selectedTownships.has(item.name)) {
+                deselectTownship(item.name);
+            }
+        });
+}
+
+// Highlight the bars of a hovered township (or of its group when comparing)
+function highlightTownshipBars(fullname) {
+    if (typeof BarPlots === 'undefined') return;
+
+    if (fullname && isComparingGroups()) {
+        const group = state.groups.find(g => g.townships.includes(fullname));
+        BarPlots.highlight(group ? group.name : null);
+    } else {
+        BarPlots.highlight(fullname);
+    }
+}
+
+// Variables the second bar chart can plot (density has its own chart)
+function renderBarMetricOptions() {
+    const select = document.getElementById('bar-metric');
+    select.innerHTML = Object.keys(MAPPED_VARIABLES)
+        .filter(key => key !== 'density')
+        .map(key => `<option value="${escapeHTML(key)}">${escapeHTML(getVariableLabel(key))}</option>`)
+        .join('');
+    select.value = state.barMetric;
+    updateBarMetricAvailability();
+}
+
+// Groups have no aggregate of uploaded (per-township) columns, so those
+// cannot be charted while comparing groups
+function updateBarMetricAvailability() {
+    const comparing = isComparingGroups();
+    const select = document.getElementById('bar-metric');
+    [...select.options].forEach(option => {
+        option.disabled = comparing && isUploadedVariable(option.value);
+    });
+
+    if (comparing && isUploadedVariable(state.barMetric)) {
+        select.value = 'population';
+        setBarMetric('population');
+    }
+}
+
+function setBarMetric(key) {
+    state.barMetric = key;
+    const label = getVariableLabel(key);
+    const unit = getVariableUnit(key);
+    document.getElementById('bar-metric-title').textContent = unit && key !== 'population'
+        ? I18n.t('chart.metric.title', { label, unit })
+        : label;
+
+    BarPlots.setOptions({ metric: { key, unit, decimals: MAPPED_VARIABLES[key].decimals } });
+}
+
+// Uploaded column values of a township, keyed by variable
+function getUploadedValues(fullname) {
+    const values = {};
+    Object.entries(state.uploadedValues).forEach(([key, byTownship]) => {
+        if (byTownship[fullname] !== undefined) values[key] = byTownship[fullname];
+    });
+    return values;
+}
+
+function isComparingGroups() {
+    return state.compareGroups && state.groups.length > 0;
+}
+
+function updateBarPlots() {
+    // Check if BarPlots module is available
+    if (typeof BarPlots === 'undefined') {
+        console.warn('BarPlots module not found');
+        return;
+    }
+
+    // Reference lines: national average density, and the selection's
+    // aggregate density
+    const densityReferences = [
+        { label: I18n.t('reference.national'), value: aggregateTownships([...state.townshipLayers.keys()]).density }
+    ];
+
+    updateBarMetricAvailability();
+
+    if (isComparingGroups()) {
+        BarPlots.update(getGroupComparisonData(), { density: densityReferences });
+        return;
+    }
+
+    if (state.selectedTownships.size > 0) {
+        densityReferences.push({ label: I18n.t('reference.selection'), value: aggregateTownships(state.selectedTownships).density });
+    }
+
+    // Prepare data for bar plots
+    const selectedData = [];
+    state.selectedTownships.forEach(fullname => {
+        const data = state.populationData[fullname];
+        const feature = state.geojsonData.features.find(f => f.properties.FULLNAME === fullname);
+        if (data && feature) {
+            selectedData.push({
+                name: fullname,
+                label: I18n.townshipName(feature.properties),
+                population: data.population,
+                density: data.density,
+                area: data.area,
+                county: I18n.countyName(feature.properties.COUNTYNAME),
+                latitude: getTownshipMetrics(fullname).centroid[1],
+                ...getUploadedValues(fullname)
+            });
+        }
+    });
+
+    console.log('Updating bar plots with', selectedData.length, 'items');
+
+    try {
+        BarPlots.update(selectedData, { density: densityReferences });
+    } catch (e) {
+        console.error('Error updating bar plots:', e);
+    }
+}
+
+// Density histogram/KDE and Lorenz curve for the selection or every township
+function updateDistributionPlots() {
+    if (typeof BarPlots === 'undefined') return;
+
+    const names = state.distributionScope === 'all'
+        ? Object.keys(state.populationData)
+        : [...state.selectedTownships];
+
+    const items = names
+        .filter(name => state.populationData[name])
+        .map(name => ({ name, ...state.populationData[name] }));
+
+    BarPlots.updateDistribution(items);
+}
+
+function updateStats() {
+    const count = state.selectedTownships.size;
+    document.getElementById('stat-count').textContent = `${count} / ${state.totalTownships}`;
+
+    const summaryStats = document.getElementById('summary-stats');
+
+    if (count > 0) {
+        summaryStats.style.display = 'block';
+
+        const totals = aggregateTownships(state.selectedTownships);
+
+        document.getElementById('stat-population').textContent = formatNumber(totals.population);
+        document.getElementById('stat-area').textContent = `${formatNumber(Math.round(totals.area))} km²`;
+        document.getElementById('stat-density').textContent = `${formatNumber(totals.density)} ${I18n.t('unit.density')}`;
+
+        updateExtendedStats(totals);
+    } else {
+        summaryStats.style.display = 'none';
+    }
+}
+
+// Figures that put the aggregate density in context: the spread of township
+// densities, the density the average resident lives at, national shares and
+// the county ranking
+function updateExtendedStats(totals) {
+    const rows = [...state.selectedTownships]
+        .filter(name => state.populationData[name])
+        .map(name => ({ name, ...state.populationData[name] }));
+    const densities = rows.map(row => row.density);
+    const setText = (id, text) => { document.getElementById(id).textContent = text; };
+    const densityText = value => `${formatNumber(Math.round(value))} ${I18n.t('unit.density')}`;
+
+    if (rows.length === 0) {
+        ['stat-weighted-density', 'stat-median-density', 'stat-mean-density', 'stat-max-township',
+            'stat-min-township', 'stat-population-share', 'stat-area-share', 'stat-county-rank']
+            .forEach(id => setText(id, 'N/A'));
+        return;
+    }
+
+    const byDensity = [...rows].sort((a, b) => b.density - a.density);
+    const densest = byDensity[0];
+    const sparsest = byDensity[byDensity.length - 1];
+    const national = aggregateTownships(Object.keys(state.populationData));
+
+    setText('stat-weighted-density', densityText(Statistics.weightedMean(densities, rows.map(row => row.population))));
+    setText('stat-median-density', densityText(d3.median(densities)));
+    setText('stat-mean-density', densityText(d3.mean(densities)));
+    setText('stat-max-township', `${getTownshipLabel(densest.name)} ${formatNumber(densest.density)}`);
+    setText('stat-min-township', `${getTownshipLabel(sparsest.name)} ${formatNumber(sparsest.density)}`);
+    setText('stat-population-share', formatPercent(totals.population / national.population));
+    setText('stat-area-share', formatPercent(totals.area / national.area));
+
+    const counties = getCountyDensities();
+    const rank = counties.filter(county => county.density > totals.density).length + 1;
+    setText('stat-county-rank', I18n.t('stats.countyRank.value', { rank, count: counties.length }));
+}
+
+// Aggregate density of every county for the current year
+function getCountyDensities() {
+    const byCounty = new Map();
+    state.geojsonData.features.forEach(feature => {
+        const { COUNTYNAME, FULLNAME } = feature.properties;
+        if (!byCounty.has(COUNTYNAME)) {
+            byCounty.set(COUNTYNAME, []);
+        }
+        byCounty.get(COUNTYNAME).push(FULLNAME);
+    });
+
+    return [...byCounty.entries()].map(([county, names]) => ({
+        county,
+        density: aggregateTownships(names).density
+    }));
+}
+
+// Total population and area of a set of townships, and their aggregate
+// density (total population / total area, not the mean of densities)
+function aggregateTownships(fullnames) {
+    let population = 0;
+    let area = 0;
+
+    fullnames.forEach(fullname => {
+        const data = state.populationData[fullname];
+        if (data) {
+            population += data.population;
+            area += data.area;
+        }
+    });
+
+    return {
+        population,
+        area,
+        density: area > 0 ? Math.round(population / area) : 0
+    };
+}
+
+function updateSelectedList() {
+    const container = document.getElementById('selected-townships');
+
+    if (state.selectedTownships.size === 0) {
+        container.innerHTML = `<p class="empty-message">${I18n.t('selected.empty')}</p>`;
+        return;
+    }
 
     // Save expanded state of county groups before rebuilding
     const expandedCounties = new Set();
     container.querySelectorAll('.county-group-content.expanded').forEach(el => {
         const header = el.previousElementSibling;
-        if (header) {
-            const countyText = header.querySelector('span:first-child')?.textContent;
-            if (countyText) {
-                // Extract county name (remove count suffix)
-                const match = countyText.match(/(.+?)\s*\(\d+\)/);
-                if (match) {
-                    expandedCounties.add(match[1].trim());
-                }
-            }
+        if (header && header.dataset.county) {
+            expandedCounties.add(header.dataset.county);
         }
     });
 
@@ -553,7 +1419,8 @@ function updateSelectedList() {
             }
             byCounty.get(countyName).push({
                 fullname,
-                townname: feature.properties.TOWNNAME,
+                townname: I18n.shortTownshipName(feature.properties),
+                label: I18n.townshipName(feature.properties),
                 ...state.populationData[fullname]
             });
         }
@@ -564,24 +1431,28 @@ function updateSelectedList() {
     // Sort counties by selection count
     const sortedCounties = [...byCounty.entries()].sort((a, b) => b[1].length - a[1].length);
 
-    sortedCounties.forEach(([countyName, townships]) => {
+    sortedCounties.forEach(([countyName, townships], index) => {
         const isExpanded = expandedCounties.has(countyName);
         html += `
             <div class="county-group">
-                <div class="county-group-header" onclick="toggleCountyGroup(this)">
-                    <span>${countyName} (${townships.length})</span>
-                    <span>${isExpanded ? '▲' : '▼'}</span>
+                <div class="county-group-header" role="button" tabindex="0" data-county="${countyName}"
+                     aria-expanded="${isExpanded}" aria-controls="selected-county-${index}"
+                     onclick="toggleCountyGroup(this)"
+                     onkeydown="if (event.key === 'Enter' || event.key === ' ') { event.preventDefault(); toggleCountyGroup(this); }">
+                    <span>${I18n.countyName(countyName)} (${townships.length})</span>
+                    <span aria-hidden="true">${isExpanded ? '▲' : '▼'}</span>
                 </div>
-                <div class="county-group-content${isExpanded ? ' expanded' : ''}">
+                <div class="county-group-content${isExpanded ? ' expanded' : ''}" id="selected-county-${index}"
+                     role="group" aria-label="${I18n.countyName(countyName)}">
         `;
 
         townships.forEach(t => {
             html += `
                 <div class="township-item">
-                    <button class="remove-btn" onclick="removeTownshipFromList('${t.fullname}'); event.stopPropagation();">&times;</button>
+                    <button class="remove-btn" aria-label="${I18n.t('selected.remove', { name: t.label })}" onclick="removeTownshipFromList('${t.fullname}'); event.stopPropagation();">&times;</button>
                     <div class="name">${t.townname}</div>
                     <div class="details">
-                        人口 ${formatNumber(t.population)} | 密度 ${formatNumber(t.density)}/km²
+                        ${I18n.t('selected.details', { population: formatNumber(t.population), density: formatNumber(t.density) })}
                     </div>
                 </div>
             `;
@@ -601,245 +1472,1257 @@ function removeTownshipFromList(fullname) {
 function toggleCountyGroup(header) {
     const content = header.nextElementSibling;
     content.classList.toggle('expanded');
+    const expanded = content.classList.contains('expanded');
+    header.setAttribute('aria-expanded', expanded);
     const arrow = header.querySelector('span:last-child');
-    arrow.textContent = content.classList.contains('expanded') ? '▲' : '▼';
+    arrow.textContent = expanded ? '▲' : '▼';
 }
 
 function updateCountyButtons() {
     const container = document.getElementById('county-buttons');
 
-    // Get unique counties with their average latitude
-    const countyData = new Map();
+    // Group townships by county
+    const countyTownships = new Map();
     state.geojsonData.features.forEach(feature => {
         const countyName = feature.properties.COUNTYNAME;
-        if (!countyData.has(countyName)) {
-            countyData.set(countyName, { latitudes: [], townships: [] });
+        if (!countyTownships.has(countyName)) {
+            countyTownships.set(countyName, []);
         }
-        // Get centroid latitude from geometry
-        const coords = feature.geometry.coordinates;
-        const lat = getAverageLatitude(coords);
-        countyData.get(countyName).latitudes.push(lat);
-        countyData.get(countyName).townships.push(feature.properties.FULLNAME);
+        countyTownships.get(countyName).push(feature.properties.FULLNAME);
     });
 
-    // Calculate average latitude for each county and sort by latitude (north to south)
-    const sortedCounties = [...countyData.entries()]
-        .map(([name, data]) => ({
+    // Sort by the latitude of each county's area-weighted centroid (north to south)
+    const sortedCounties = [...countyTownships.entries()]
+        .map(([name, townships]) => ({
             name,
-            avgLat: data.latitudes.reduce((a, b) => a + b, 0) / data.latitudes.length,
-            townships: data.townships
+            latitude: state.countyMetrics.get(name).centroid[1],
+            townships
         }))
-        .sort((a, b) => b.avgLat - a.avgLat); // Higher latitude first
+        .sort((a, b) => b.latitude - a.latitude); // Higher latitude first
 
     let html = '';
     sortedCounties.forEach(county => {
         const allSelected = county.townships.every(name => state.selectedTownships.has(name));
+        const someSelected = county.townships.some(name => state.selectedTownships.has(name));
+        const pressed = allSelected ? 'true' : (someSelected ? 'mixed' : 'false');
 
         let className = 'county-btn';
         if (allSelected) className += ' selected';
 
-        html += `<button class="${className}" onclick="selectCounty('${county.name}')">${allSelected ? '✓ ' : ''}${county.name}</button>`;
+        html += `<button class="${className}" aria-pressed="${pressed}" onclick="selectCounty('${county.name}')">` +
+            `${allSelected ? '<span aria-hidden="true">✓ </span>' : ''}${I18n.countyName(county.name)}</button>`;
     });
 
     container.innerHTML = html;
 }
 
-// Helper function to get average latitude from GeoJSON coordinates
-function getAverageLatitude(coords) {
-    let totalLat = 0;
-    let count = 0;
-
-    function processCoords(c) {
-        if (typeof c[0] === 'number') {
-            // This is a coordinate pair [lng, lat]
-            totalLat += c[1];
-            count++;
-        } else {
-            // This is an array of coordinates
-            c.forEach(processCoords);
-        }
-    }
-
-    processCoords(coords);
-    return count > 0 ? totalLat / count : 0;
-}
-
 function updateExportButton() {
     const btn = document.getElementById('btn-export');
     btn.disabled = state.selectedTownships.size === 0;
+
+    // Dissolving only applies to geometry formats
+    const format = EXPORT_FORMATS[document.getElementById('export-format').value];
+    document.getElementById('export-dissolve').disabled = !format.geometry;
 }
 
 function createLegend() {
     const container = document.getElementById('legend-items');
     let html = '';
 
-    // Custom labels for the legend
-    const labels = [
-        '< 10',
-        '10 - 500',
-        '500 - 1,000',
-        '1,000 - 2,000',
-        '2,000 - 5,000',
-        '5,000 - 10,000',
-        '10,000 - 20,000',
-        '20,000 - 30,000',
-        '30,000+'
-    ];
+    document.getElementById('legend-title').textContent = getLegendTitle();
 
-    for (let i = 0; i < labels.length; i++) {
+    getLegendEntries().forEach(entry => {
         html += `
             <div class="legend-item">
-                <div class="legend-color" style="background: ${COLOR_PALETTE[i]}"></div>
-                <span>${labels[i]}</span>
+                <div class="legend-color" style="background: ${entry.color}"></div>
+                <span>${entry.label}</span>
             </div>
         `;
-    }
+    });
 
     container.innerHTML = html;
 }
 
+function getLegendTitle() {
+    const label = getVariableLabel(state.mappedVariable);
+    const unit = getVariableUnit(state.mappedVariable);
+    return unit ? I18n.t('legend.title', { label, unit }) : I18n.t('legend.titleNoUnit', { label });
+}
+
+// Colour and label of each class, generated from the active scheme's breaks
+function getLegendEntries() {
+    const { breaks, colors } = state.classification;
+    const labels = Classification.getLabels(breaks, value => formatVariableValue(state.mappedVariable, value));
+    const entries = labels.map((label, i) => ({ label, color: colors[i] }));
+
+    if (state.geojsonData.features.some(f => f.properties[state.mappedVariable] === undefined)) {
+        entries.push({ label: I18n.t('legend.noData'), color: NO_DATA_COLOR });
+    }
+    return entries;
+}
+
 // ============================================================================
-// Export Function
+// Classification
 // ============================================================================
 
-function exportData() {
-    if (state.selectedTownships.size === 0) {
-        showToast('請先選擇鄉鎮市區');
-        return;
+// Compute breaks and colours for the active scheme and mapped variable.
+// Data-driven schemes use the values of every year, so colours stay
+// comparable while stepping through the year slider. Uploaded variables
+// have a single set of values.
+function updateClassification() {
+    const cls = state.classification;
+    const variable = state.mappedVariable;
+    const values = [];
+    if (isUploadedVariable(variable)) {
+        values.push(...Object.values(state.uploadedValues[variable]));
+    } else {
+        Object.values(state.populationSeries).forEach(yearData => {
+            Object.values(yearData).forEach(record => values.push(record[variable]));
+        });
     }
 
-    const data = [];
+    cls.breaks = Classification.computeBreaks(cls.scheme, values, cls.classCount, cls.manualBreaks[variable]);
+    cls.colors = Classification.getColors(cls.breaks.length);
+}
 
-    state.selectedTownships.forEach(fullname => {
-        const feature = state.geojsonData.features.find(f => f.properties.FULLNAME === fullname);
-        const popData = state.populationData[fullname];
+// Recompute classes and re-colour the map and legend
+function applyClassification() {
+    updateClassification();
+    state.geojsonLayer.setStyle(styleFeature);
+    createLegend();
+    scheduleUrlStateUpdate();
+}
 
-        if (feature && popData) {
-            data.push({
-                Township: fullname,
-                County: feature.properties.COUNTYNAME,
-                District: feature.properties.TOWNNAME,
-                Population: popData.population,
-                'Area_km2': popData.area,
-                Density: popData.density
-            });
+function setupClassificationControls() {
+    const cls = state.classification;
+    const variableSelect = document.getElementById('mapped-variable');
+    const schemeSelect = document.getElementById('classification-scheme');
+    const classSelect = document.getElementById('classification-classes');
+    const breaksInput = document.getElementById('classification-breaks');
+
+    // Keep legend interaction from panning the map
+    const legend = document.getElementById('map-legend');
+    L.DomEvent.disableClickPropagation(legend);
+    L.DomEvent.disableScrollPropagation(legend);
+
+    renderClassificationOptions();
+
+    variableSelect.addEventListener('change', () => {
+        state.mappedVariable = variableSelect.value;
+        syncClassificationControls();
+        applyClassification();
+    });
+
+    schemeSelect.addEventListener('change', () => {
+        cls.scheme = schemeSelect.value;
+        syncClassificationControls();
+        applyClassification();
+    });
+
+    classSelect.addEventListener('change', () => {
+        cls.classCount = Number(classSelect.value);
+        applyClassification();
+    });
+
+    breaksInput.addEventListener('change', () => {
+        const breaks = Classification.parseBreaks(breaksInput.value);
+        if (breaks.length === 0) {
+            showToast(I18n.t('legend.invalidBreaks'));
+            breaksInput.value = cls.manualBreaks[state.mappedVariable].join(', ');
+            return;
         }
+        cls.manualBreaks[state.mappedVariable] = breaks;
+        breaksInput.value = breaks.join(', ');
+        applyClassification();
     });
+}
+
+// Option labels of the legend controls, in the current language
+function renderClassificationOptions() {
+    document.getElementById('mapped-variable').innerHTML = Object.keys(MAPPED_VARIABLES)
+        .map(key => `<option value="${escapeHTML(key)}">${escapeHTML(getVariableLabel(key))}</option>`)
+        .join('');
+
+    document.getElementById('classification-scheme').innerHTML = Classification.SCHEMES
+        .map(key => `<option value="${key}">${I18n.t(`scheme.${key}`)}</option>`)
+        .join('');
+
+    let classOptions = '';
+    for (let n = Classification.minClasses; n <= Classification.maxClasses; n++) {
+        classOptions += `<option value="${n}">${I18n.t('legend.classes.option', { n })}</option>`;
+    }
+    document.getElementById('classification-classes').innerHTML = classOptions;
 
-    // Convert to CSV
-    const headers = Object.keys(data[0]);
-    const csv = [
-        headers.join(','),
-        ...data.map(row => headers.map(h => row[h]).join(','))
-    ].join('\n');
+    syncClassificationControls();
+}
+
+// Reflect the classification state in the legend controls
+function syncClassificationControls() {
+    const cls = state.classification;
+    const classSelect = document.getElementById('classification-classes');
+    const breaksInput = document.getElementById('classification-breaks');
+    const isManual = cls.scheme === 'manual';
 
-    // Download
-    const blob = new Blob(['\ufeff' + csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'taiwan_townships_selected.csv';
-    link.click();
-    URL.revokeObjectURL(url);
+    document.getElementById('mapped-variable').value = state.mappedVariable;
+    document.getElementById('classification-scheme').value = cls.scheme;
+    classSelect.value = cls.classCount;
+    breaksInput.value = cls.manualBreaks[state.mappedVariable].join(', ');
 
+    classSelect.style.display = isManual ? 'none' : '';
+    breaksInput.style.display = isManual ? '' : 'none';
 }
 
 // ============================================================================
-// Event Listeners
+// Export Function
 // ============================================================================
 
-function setupEventListeners() {
-    document.getElementById('btn-clear').addEventListener('click', clearAllSelections);
-    document.getElementById('btn-select-all').addEventListener('click', selectAllTownships);
-    document.getElementById('btn-export').addEventListener('click', exportData);
-    document.getElementById('btn-reset-map').addEventListener('click', resetMapView);
+// Export file base name and format handlers
+const EXPORT_FILENAME = 'taiwan_townships_selected';
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', exporter: exportCSV },
+    xlsx: { extension: 'xlsx', exporter: exportXLSX },
+    geojson: { extension: 'geojson', mimeType: 'application/geo+json', geometry: true },
+    topojson: { extension: 'topojson', mimeType: 'application/json', geometry: true },
+    kml: { extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', geometry: true }
+};
 
-    // Disable double-click zoom on map
-    state.map.doubleClickZoom.disable();
+function exportData() {
+    if (state.selectedTownships.size === 0) {
+        showToast(I18n.t('toast.selectFirst'));
+        return;
+    }
 
-    // Direct DOM event listener for click detection
-    // This bypasses Leaflet's event system which doesn't fire reliably after selections
-    const mapContainer = document.getElementById('map');
-    document.addEventListener('mouseup', function(e) {
-        // Check if click is within map bounds
-        const rect = mapContainer.getBoundingClientRect();
-        if (e.clientX < rect.left || e.clientX > rect.right ||
-            e.clientY < rect.top || e.clientY > rect.bottom) {
-            return; // Click outside map
+    const formatKey = document.getElementById('export-format').value;
+    const format = EXPORT_FORMATS[formatKey];
+
+    try {
+        if (format.geometry) {
+            exportGeometry(formatKey, format);
+        } else {
+            format.exporter();
         }
+    } catch (error) {
+        console.error('Error exporting data:', error);
+        showToast(I18n.t('toast.exportFailed'));
+    }
+}
 
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
-        const point = L.point(x, y);
-        const latlng = state.map.containerPointToLatLng(point);
+// Selected features with the merged population properties
+function getSelectedExportFeatures() {
+    return state.geojsonData.features
+        .filter(f => state.selectedTownships.has(f.properties.FULLNAME))
+        .map(f => ({
+            type: 'Feature',
+            properties: {
+                FULLNAME: f.properties.FULLNAME,
+                COUNTYNAME: f.properties.COUNTYNAME,
+                TOWNNAME: f.properties.TOWNNAME,
+                TOWNENG: f.properties.TOWNENG,
+                TOWNCODE: f.properties.TOWNCODE,
+                year: state.currentYear,
+                population: f.properties.population,
+                area: f.properties.area,
+                density: f.properties.density,
+                ...getExportMetrics(f.properties.FULLNAME)
+            },
+            geometry: f.geometry
+        }));
+}
 
-        // Find which township contains this point
-        let clickedLayer = null;
-        let clickedName = null;
-
-        state.townshipLayers.forEach((layer, fullname) => {
-            if (layer.getBounds && layer.getBounds().contains(latlng)) {
-                // More precise check using the actual geometry
-                const layerPoint = state.map.latLngToLayerPoint(latlng);
-                // Check if point is inside the polygon
-                if (isPointInLayer(latlng, layer)) {
-                    clickedLayer = layer;
-                    clickedName = fullname;
-                }
-            }
-        });
+// Geometry metrics as export properties
+function getExportMetrics(fullname) {
+    const metrics = getTownshipMetrics(fullname);
+    return {
+        centroid_lng: roundCoordinate(metrics.centroid[0]),
+        centroid_lat: roundCoordinate(metrics.centroid[1]),
+        perimeter_km: roundLength(metrics.perimeter),
+        geodesic_area_km2: roundArea(metrics.area)
+    };
+}
 
-        if (clickedName) {
-            const currentTime = Date.now();
+function exportGeometry(formatKey, format) {
+    let features = getSelectedExportFeatures();
+
+    // Dissolve into a single outline with aggregated properties
+    if (document.getElementById('export-dissolve').checked) {
+        const population = d3.sum(features, f => f.properties.population || 0);
+        const area = d3.sum(features, f => f.properties.area || 0);
+        features = [Exporters.dissolve(features, {
+            FULLNAME: I18n.t('export.dissolvedName', { count: features.length }),
+            townships: features.map(f => f.properties.FULLNAME).join(','),
+            count: features.length,
+            year: state.currentYear,
+            population,
+            area: roundArea(area),
+            density: area > 0 ? Math.round(population / area) : 0
+        })];
+    }
 
-            // Check for double-click
-            if (state.lastClickedTownship === clickedName &&
-                (currentTime - state.lastClickTime) < DOUBLE_CLICK_THRESHOLD) {
-                // Double-click - deselect
-                if (state.selectedTownships.has(clickedName)) {
-                    deselectTownship(clickedName);
-                }
-            } else {
-                // Single click - select
-                if (!state.selectedTownships.has(clickedName)) {
-                    selectTownship(clickedName);
-                }
-            }
+    let content;
+    if (formatKey === 'geojson') {
+        content = Exporters.toGeoJSON(features);
+    } else if (formatKey === 'topojson') {
+        content = Exporters.toTopoJSON(features, 'townships');
+    } else {
+        content = Exporters.toKML(features, I18n.t('export.kmlName'), 'FULLNAME');
+    }
 
-            state.lastClickTime = currentTime;
-            state.lastClickedTownship = clickedName;
-        }
-    }, true);  // Use capture phase to get event before Leaflet
+    Exporters.download(content, `${EXPORT_FILENAME}.${format.extension}`, format.mimeType);
 }
 
-// Helper function to check if a point is inside a layer's geometry
-function isPointInLayer(latlng, layer) {
-    // For GeoJSON layers, check if point is inside the polygon
-    if (layer.feature && layer.feature.geometry) {
-        const geom = layer.feature.geometry;
-        if (geom.type === 'Polygon' || geom.type === 'MultiPolygon') {
-            return isPointInPolygon(latlng, geom);
-        }
-    }
-    return false;
+// Township table shared by the CSV and XLSX exports; headers and names
+// follow the interface language. area is the recorded area; geodesicArea
+// is measured from the boundary.
+// New columns go at the end so CSVs read by position keep working
+const EXPORT_TOWNSHIP_COLUMNS = [
+    'township', 'county', 'district', 'population', 'area', 'density', 'towncode',
+    'centroidLng', 'centroidLat', 'perimeter', 'geodesicArea'
+];
+
+function getExportHeaders(columns) {
+    return columns.map(column => I18n.t(`export.column.${column}`));
 }
 
-// Point-in-polygon test
-function isPointInPolygon(latlng, geometry) {
-    const point = [latlng.lng, latlng.lat];
+function getSelectedTownshipRows() {
+    const rows = [];
 
-    function isInRing(point, ring) {
-        let inside = false;
-        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-            const xi = ring[i][0], yi = ring[i][1];
-            const xj = ring[j][0], yj = ring[j][1];
-            if (((yi > point[1]) !== (yj > point[1])) &&
-                (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) {
-                inside = !inside;
-            }
-        }
-        return inside;
-    }
+    state.selectedTownships.forEach(fullname => {
+        const feature = state.geojsonData.features.find(f => f.properties.FULLNAME === fullname);
+        const popData = state.populationData[fullname];
+
+        if (feature && popData) {
+            const metrics = getTownshipMetrics(fullname);
+            rows.push([
+                I18n.townshipName(feature.properties),
+                I18n.countyName(feature.properties.COUNTYNAME),
+                I18n.shortTownshipName(feature.properties),
+                popData.population,
+                popData.area,
+                popData.density,
+                feature.properties.TOWNCODE,
+                roundCoordinate(metrics.centroid[0]),
+                roundCoordinate(metrics.centroid[1]),
+                roundLength(metrics.perimeter),
+                roundArea(metrics.area)
+            ]);
+        }
+    });
+
+    return rows;
+}
+
+function exportCSV() {
+    const csv = Exporters.toCSV(getExportHeaders(EXPORT_TOWNSHIP_COLUMNS), getSelectedTownshipRows());
+
+    // BOM so Excel detects UTF-8
+    Exporters.download('\ufeff' + csv, `${EXPORT_FILENAME}.csv`, 'text/csv;charset=utf-8;');
+}
+
+// Workbook with township, per-county subtotal and metadata sheets
+function exportXLSX() {
+    const townshipRows = getSelectedTownshipRows();
+
+    // County subtotals, aggregated the same way as the stats panel
+    const byCounty = new Map();
+    state.geojsonData.features.forEach(feature => {
+        const { FULLNAME, COUNTYNAME } = feature.properties;
+        if (state.selectedTownships.has(FULLNAME)) {
+            if (!byCounty.has(COUNTYNAME)) {
+                byCounty.set(COUNTYNAME, []);
+            }
+            byCounty.get(COUNTYNAME).push(FULLNAME);
+        }
+    });
+
+    const countyRows = [...byCounty.entries()].map(([county, names]) => {
+        const totals = aggregateTownships(names);
+        return [I18n.countyName(county), names.length, totals.population, roundArea(totals.area), totals.density];
+    });
+    const overall = aggregateTownships(state.selectedTownships);
+    countyRows.push([I18n.t('export.total'), state.selectedTownships.size, overall.population, roundArea(overall.area), overall.density]);
+
+    const metadataRows = [
+        ['Field', 'Value'],
+        ['Title', document.title],
+        ['Data year', state.currentYear],
+        ['Population as of', state.populationSource === DATA_FILES.snapshot ? SNAPSHOT_DATE : state.currentYear],
+        ['Population source', state.populationSource],
+        ['Boundary source', state.geometrySource],
+        ['Townships selected', state.selectedTownships.size],
+        ['Density', 'Aggregate density = total population / total area (people/km²)'],
+        ['Geometry', 'Area-weighted centroid; perimeter and geodesic area measured on a sphere from the boundary'],
+        ['Exported at', new Date().toISOString()]
+    ];
+
+    const workbook = Exporters.toXLSX([
+        { name: 'Townships', rows: [getExportHeaders(EXPORT_TOWNSHIP_COLUMNS), ...townshipRows] },
+        { name: 'County subtotals', rows: [getExportHeaders(['county', 'townships', 'population', 'area', 'density']), ...countyRows] },
+        { name: 'Metadata', rows: metadataRows }
+    ]);
+
+    Exporters.download(workbook, `${EXPORT_FILENAME}.xlsx`);
+}
+
+function roundArea(area) {
+    return Math.round(area * 10000) / 10000;
+}
+
+function roundLength(km) {
+    return Math.round(km * 1000) / 1000;
+}
+
+// Six decimals of a degree, about 0.1 m
+function roundCoordinate(degrees) {
+    return Math.round(degrees * 1e6) / 1e6;
+}
+
+// ============================================================================
+// Image Export
+// ============================================================================
+
+// Map image layout
+const MAP_IMAGE = {
+    background: '#f0eee9',
+    font: '"Noto Sans TC", "Outfit", sans-serif',
+    ink: '#293336',
+    padding: 16,
+    swatch: { width: 24, height: 12 },
+    lineHeight: 18
+};
+
+function getImageDPI() {
+    return Number(document.getElementById('image-dpi').value) || 96;
+}
+
+function exportChartImage(type, format) {
+    const chart = BarPlots.exportSVG(type);
+    if (!chart) {
+        showToast(I18n.t('toast.selectFirst'));
+        return;
+    }
+
+    const filename = `taiwan_${type}_chart`;
+    if (format === 'svg') {
+        Exporters.download(chart.svg, `${filename}.svg`, 'image/svg+xml');
+        return;
+    }
+
+    Exporters.svgToPNG(chart.svg, chart.width, chart.height, getImageDPI())
+        .then(blob => Exporters.download(blob, `${filename}.png`))
+        .catch(error => {
+            console.error('Error exporting chart image:', error);
+            showToast(I18n.t('toast.exportFailed'));
+        });
+}
+
+// Render the current map view (choropleth, selection, title and legend) to PNG.
+// Base map tiles are not included.
+function exportMapImage() {
+    const size = state.map.getSize();
+    const dpi = getImageDPI();
+    const canvas = Exporters.createCanvas(size.x, size.y, dpi / 96);
+    const ctx = canvas.getContext('2d');
+
+    ctx.fillStyle = MAP_IMAGE.background;
+    ctx.fillRect(0, 0, size.x, size.y);
+
+    // Only draw townships in view; selected ones last so borders sit on top
+    const bounds = state.map.getBounds();
+    const visible = state.spatialIndex.search([bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]);
+    const isSelected = f => state.selectedTownships.has(f.properties.FULLNAME);
+    [...visible.filter(f => !isSelected(f)), ...visible.filter(isSelected)].forEach(feature => {
+        drawFeature(ctx, feature, styleFeature(feature));
+    });
+
+    drawMapLabels(ctx);
+    drawMapTitle(ctx, size.x);
+    drawMapLegend(ctx, size.y);
+
+    Exporters.canvasToPNG(canvas, dpi)
+        .then(blob => Exporters.download(blob, 'taiwan_map.png'))
+        .catch(error => {
+            console.error('Error exporting map image:', error);
+            showToast(I18n.t('toast.exportFailed'));
+        });
+}
+
+function drawFeature(ctx, feature, style) {
+    const polygons = feature.geometry.type === 'Polygon' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+
+    ctx.beginPath();
+    polygons.forEach(rings => rings.forEach(ring => {
+        ring.forEach((c, i) => {
+            const p = state.map.latLngToContainerPoint([c[1], c[0]]);
+            if (i === 0) {
+                ctx.moveTo(p.x, p.y);
+            } else {
+                ctx.lineTo(p.x, p.y);
+            }
+        });
+        ctx.closePath();
+    }));
+
+    ctx.globalAlpha = style.fillOpacity;
+    ctx.fillStyle = style.fillColor;
+    ctx.fill('evenodd');
+
+    ctx.globalAlpha = style.opacity;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.weight;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+}
+
+// Place labels as shown on the map, with a white halo
+function drawMapLabels(ctx) {
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineJoin = 'round';
+    state.placedLabels.forEach(label => {
+        ctx.font = getLabelFont(label.style);
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.strokeText(label.text, label.x, label.y);
+        ctx.fillStyle = MAP_IMAGE.ink;
+        ctx.fillText(label.text, label.x, label.y);
+    });
+}
+
+function drawMapTitle(ctx, width) {
+    const year = state.years.length > 1 && !isUploadedVariable(state.mappedVariable) ? ` ${state.currentYear}` : '';
+    const title = `${I18n.t('app.title')} - ${getVariableLabel(state.mappedVariable)}${year}`;
+
+    ctx.font = `600 20px ${MAP_IMAGE.font}`;
+    const textWidth = ctx.measureText(title).width;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+    ctx.fillRect((width - textWidth) / 2 - MAP_IMAGE.padding / 2, MAP_IMAGE.padding / 2, textWidth + MAP_IMAGE.padding, 32);
+    ctx.fillStyle = MAP_IMAGE.ink;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(title, width / 2, MAP_IMAGE.padding / 2 + 16);
+}
+
+function drawMapLegend(ctx, height) {
+    const entries = getLegendEntries();
+    const title = getLegendTitle();
+    const { padding, swatch, lineHeight } = MAP_IMAGE;
+
+    ctx.font = `600 13px ${MAP_IMAGE.font}`;
+    let boxWidth = ctx.measureText(title).width;
+    ctx.font = `12px ${MAP_IMAGE.font}`;
+    entries.forEach(entry => {
+        boxWidth = Math.max(boxWidth, swatch.width + 8 + ctx.measureText(entry.label).width);
+    });
+    boxWidth += padding;
+
+    const boxHeight = lineHeight * (entries.length + 1) + padding;
+    const x = padding;
+    const y = height - boxHeight - padding;
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = MAP_IMAGE.ink;
+    ctx.font = `600 13px ${MAP_IMAGE.font}`;
+    ctx.fillText(title, x + padding / 2, y + padding / 2 + lineHeight / 2);
+
+    ctx.font = `12px ${MAP_IMAGE.font}`;
+    entries.forEach((entry, i) => {
+        const rowY = y + padding / 2 + lineHeight * (i + 1);
+        ctx.fillStyle = entry.color;
+        ctx.fillRect(x + padding / 2, rowY + (lineHeight - swatch.height) / 2, swatch.width, swatch.height);
+        ctx.strokeStyle = '#e5e2dc';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + padding / 2, rowY + (lineHeight - swatch.height) / 2, swatch.width, swatch.height);
+        ctx.fillStyle = MAP_IMAGE.ink;
+        ctx.fillText(entry.label, x + padding / 2 + swatch.width + 8, rowY + lineHeight / 2);
+    });
+}
+
+// ============================================================================
+// Data Join Report
+// ============================================================================
+
+const DATA_REPORT_FILENAME = 'taiwan_townships_data_report';
+
+function setupDataReport() {
+    const dialog = document.getElementById('data-report-dialog');
+
+    document.getElementById('btn-data-report').addEventListener('click', showDataReport);
+    document.getElementById('btn-data-report-close').addEventListener('click', () => dialog.close());
+    document.getElementById('btn-data-report-csv').addEventListener('click', downloadDataReportCSV);
+    document.getElementById('btn-data-report-json').addEventListener('click', downloadDataReportJSON);
+
+    // Close when clicking the backdrop
+    dialog.addEventListener('click', e => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    updateDataReportButton();
+}
+
+// Header badge: issue count for the current year
+function updateDataReportButton() {
+    const button = document.getElementById('btn-data-report');
+    const report = state.joinReports[state.currentYear];
+    if (!report) return;
+
+    const issues = DataJoin.countIssues(report);
+    button.textContent = issues > 0 ? I18n.t('report.button.issues', { count: issues }) : I18n.t('report.button.ok');
+    button.classList.toggle('has-issues', issues > 0);
+}
+
+function showDataReport() {
+    document.getElementById('data-report-body').innerHTML = [
+        ...state.years.map(year => renderDataReport(year, state.joinReports[year])),
+        ...state.uploads.map(upload => renderDataReport(upload.fileName, upload.report))
+    ].join('');
+    document.getElementById('data-report-dialog').showModal();
+}
+
+function renderDataReport(year, report) {
+    const { exact, normalized, code } = report.matchedBy;
+    const table = (headers, rows) => rows.length === 0
+        ? `<p class="data-report-empty">${I18n.t('common.none')}</p>`
+        : `<table class="data-report-table">
+               <thead><tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+               <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+           </table>`;
+
+    return `
+        <section class="data-report-year">
+            <h4>${escapeHTML(year)}</h4>
+            <p>${I18n.t('report.summary', {
+                features: report.featureCount, records: report.recordCount, exact, normalized, code
+            })}</p>
+            <h5>${I18n.t('report.unmatched', { count: report.unmatchedFeatures.length })}</h5>
+            ${table([I18n.t('report.column.township'), 'TOWNCODE'],
+                report.unmatchedFeatures.map(f => [getTownshipLabel(f.FULLNAME), f.TOWNCODE]))}
+            <h5>${I18n.t('report.orphans', { count: report.orphanRows.length })}</h5>
+            ${table([I18n.t('report.column.key')], report.orphanRows.map(r => [r.key]))}
+            <h5>${I18n.t('report.mismatches', { count: report.densityMismatches.length })}</h5>
+            ${table(['township', 'density', 'computed', 'difference'].map(column => I18n.t(`report.column.${column}`)),
+                report.densityMismatches.map(m => [getTownshipLabel(m.FULLNAME), m.density, m.computed, m.difference]))}
+        </section>
+    `;
+}
+
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// One row per issue across all years
+function downloadDataReportCSV() {
+    const rows = [];
+    state.years.forEach(year => {
+        const report = state.joinReports[year];
+        report.unmatchedFeatures.forEach(f => {
+            rows.push([year, 'unmatched_feature', f.FULLNAME, f.TOWNCODE, '', '', '']);
+        });
+        report.orphanRows.forEach(r => {
+            rows.push([year, 'orphan_row', r.key, '', '', '', '']);
+        });
+        report.densityMismatches.forEach(m => {
+            rows.push([year, 'density_mismatch', m.FULLNAME, m.TOWNCODE, m.density, m.computed, m.difference]);
+        });
+    });
+
+    const headers = ['Year', 'Issue', 'Name', 'TOWNCODE', 'Density', 'Computed_density', 'Difference'];
+    Exporters.download('\ufeff' + Exporters.toCSV(headers, rows), `${DATA_REPORT_FILENAME}.csv`, 'text/csv;charset=utf-8;');
+}
+
+function downloadDataReportJSON() {
+    const content = JSON.stringify({
+        source: state.populationSource,
+        geometry: state.geometrySource,
+        years: state.joinReports
+    }, null, 2);
+    Exporters.download(content, `${DATA_REPORT_FILENAME}.json`, 'application/json');
+}
+
+// ============================================================================
+// Data Upload
+// ============================================================================
+
+// Uploaded columns become mapped variables under this key prefix
+const UPLOAD_VARIABLE_PREFIX = 'upload:';
+const UPLOAD_FILE_PATTERN = /\.(csv|json)$/i;
+
+function setupDataUpload() {
+    const dialog = document.getElementById('upload-dialog');
+    const input = document.getElementById('upload-input');
+
+    document.getElementById('btn-upload').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        if (input.files[0]) readUploadFile(input.files[0]);
+        input.value = '';
+    });
+
+    document.getElementById('upload-key').addEventListener('change', renderUploadColumns);
+    document.getElementById('btn-upload-apply').addEventListener('click', applyUpload);
+    document.getElementById('btn-upload-close').addEventListener('click', () => dialog.close());
+
+    // Close when clicking the backdrop
+    dialog.addEventListener('click', e => {
+        if (e.target === dialog) dialog.close();
+    });
+
+    // Files can also be dropped anywhere on the page
+    document.addEventListener('dragover', e => {
+        if (!e.dataTransfer || ![...e.dataTransfer.types].includes('Files')) return;
+        e.preventDefault();
+        document.body.classList.add('drag-over');
+    });
+    document.addEventListener('dragleave', e => {
+        if (e.relatedTarget === null) document.body.classList.remove('drag-over');
+    });
+    document.addEventListener('drop', e => {
+        document.body.classList.remove('drag-over');
+        if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        readUploadFile(e.dataTransfer.files[0]);
+    });
+}
+
+async function readUploadFile(file) {
+    if (!UPLOAD_FILE_PATTERN.test(file.name)) {
+        showToast(I18n.t('upload.unsupported'));
+        return;
+    }
+
+    try {
+        const table = DataImport.parse(await file.text(), file.name);
+        if (table.rows.length === 0) throw new Error('No rows');
+        openUploadDialog(file.name, table);
+    } catch (error) {
+        console.error('Upload failed:', error);
+        showToast(I18n.t('upload.parseFailed', { name: file.name }));
+    }
+}
+
+// Column-mapping dialog: the key column, and which numeric columns to
+// import under what label and unit
+function openUploadDialog(fileName, table) {
+    state.pendingUpload = { fileName, ...table };
+
+    const keySelect = document.getElementById('upload-key');
+    keySelect.innerHTML = table.columns
+        .map(column => `<option value="${escapeHTML(column)}">${escapeHTML(column)}</option>`)
+        .join('');
+    keySelect.value = DataImport.guessKeyColumn(table.columns);
+
+    document.getElementById('upload-file-name').textContent = fileName;
+    document.getElementById('upload-report').innerHTML = '';
+    renderUploadColumns();
+    document.getElementById('upload-dialog').showModal();
+}
+
+function renderUploadColumns() {
+    const { columns, rows } = state.pendingUpload;
+    const keyColumn = document.getElementById('upload-key').value;
+    const numeric = DataImport.numericColumns(rows, columns).filter(column => column !== keyColumn);
+    const sample = column => {
+        const row = rows.find(r => DataImport.parseNumber(r[column]) !== null);
+        return row ? row[column] : '';
+    };
+
+    document.getElementById('upload-columns').innerHTML = numeric.length === 0
+        ? `<tr><td colspan="4" class="data-report-empty">${I18n.t('upload.noNumeric')}</td></tr>`
+        : numeric.map(column => `
+            <tr data-column="${escapeHTML(column)}">
+                <td><label><input type="checkbox" class="upload-include" checked> ${escapeHTML(column)}</label></td>
+                <td><input type="text" class="upload-label" value="${escapeHTML(column)}"></td>
+                <td><input type="text" class="upload-unit" value=""></td>
+                <td>${escapeHTML(sample(column))}</td>
+            </tr>
+        `).join('');
+    document.getElementById('btn-upload-apply').disabled = numeric.length === 0;
+}
+
+// Join the chosen columns to the townships, add them as map variables and
+// show the join report
+function applyUpload() {
+    const { fileName, rows } = state.pendingUpload;
+    const keyColumn = document.getElementById('upload-key').value;
+    const mappings = [...document.querySelectorAll('#upload-columns tr[data-column]')]
+        .filter(row => row.querySelector('.upload-include').checked)
+        .map(row => ({
+            column: row.dataset.column,
+            label: row.querySelector('.upload-label').value.trim() || row.dataset.column,
+            unit: row.querySelector('.upload-unit').value.trim()
+        }));
+
+    if (mappings.length === 0) {
+        showToast(I18n.t('upload.noColumns'));
+        return;
+    }
+
+    const records = DataImport.toRecords(rows, keyColumn, mappings.map(m => m.column));
+    const { data, report } = DataJoin.join(state.geojsonData.features, records);
+    const issues = DataJoin.countIssues(report);
+    if (issues > 0) {
+        console.warn(`Data join ${fileName}: ${issues} issue(s)`, report);
+    }
+
+    // Nothing to map: keep the current variables and show why
+    document.getElementById('upload-report').innerHTML = renderDataReport(fileName, report);
+    if (Object.keys(data).length === 0) {
+        showToast(I18n.t('upload.noMatches', { key: keyColumn }));
+        return;
+    }
+
+    const variables = mappings.map(mapping => addUploadedVariable(mapping, data));
+
+    // The file replaces its earlier upload, and its columns replace the same
+    // columns from other files; uploads left without a variable are dropped
+    state.uploads = state.uploads
+        .filter(upload => upload.fileName !== fileName)
+        .map(upload => ({ ...upload, variables: upload.variables.filter(key => !variables.includes(key)) }))
+        .filter(upload => upload.variables.length > 0);
+    state.uploads.push({ fileName, keyColumn, variables, report });
+
+    state.mappedVariable = variables[0];
+    renderClassificationOptions();
+    renderBarMetricOptions();
+    applyClassification();
+    updateBarPlots();
+
+    showToast(I18n.t('upload.applied', { count: variables.length, matched: Object.keys(data).length }));
+}
+
+// Register an uploaded column as a mapped variable (replacing an earlier
+// upload of the same column) and copy its values onto the features
+function addUploadedVariable({ column, label, unit }, data) {
+    const key = UPLOAD_VARIABLE_PREFIX + column;
+    const values = {};
+    Object.entries(data).forEach(([fullname, record]) => {
+        if (record[column] !== undefined) values[fullname] = record[column];
+    });
+
+    const numbers = Object.values(values);
+    const decimals = numbers.every(Number.isInteger) ? 0 : 2;
+    const defaultBreaks = Classification.computeBreaks('quantile', numbers, state.classification.classCount)
+        .slice(1)
+        .map(b => Number(b.toFixed(decimals)));
+
+    MAPPED_VARIABLES[key] = { label, unit, decimals, defaultBreaks, source: 'upload' };
+    state.uploadedValues[key] = values;
+    state.classification.manualBreaks[key] = [...defaultBreaks];
+
+    state.geojsonData.features.forEach(feature => {
+        feature.properties[key] = values[feature.properties.FULLNAME];
+    });
+    return key;
+}
+
+// ============================================================================
+// Place Labels
+// ============================================================================
+
+// County names up to COUNTY_LABEL_MAX_ZOOM, township names above it.
+// A township is named once its widest inscribed circle has a radius of
+// LABEL_MIN_RADIUS px; selected townships are always candidates.
+const COUNTY_LABEL_MAX_ZOOM = 8;
+const LABEL_MIN_RADIUS = 12;
+const LABEL_PANE = 'labels';
+const LABEL_STYLES = {
+    county: { size: 13, weight: 600 },
+    township: { size: 11, weight: 400 },
+    selected: { size: 12, weight: 700 }
+};
+
+function setupLabels() {
+    // Above the townships (400), below popups and markers
+    const pane = state.map.createPane(LABEL_PANE);
+    pane.style.zIndex = 450;
+    pane.style.pointerEvents = 'none';
+
+    state.labelLayer = L.layerGroup().addTo(state.map);
+    state.map.on('moveend', updateLabels);
+
+    const button = document.getElementById('btn-labels');
+    button.addEventListener('click', () => {
+        state.showLabels = !state.showLabels;
+        button.classList.toggle('active', state.showLabels);
+        button.setAttribute('aria-pressed', state.showLabels);
+        updateLabels();
+    });
+
+    updateLabels();
+}
+
+function getLabelFont(styleKey) {
+    const style = LABEL_STYLES[styleKey];
+    return `${style.weight} ${style.size}px ${MAP_IMAGE.font}`;
+}
+
+// Redraw the labels that fit the current view
+function updateLabels() {
+    if (!state.labelLayer) return;
+
+    state.labelLayer.clearLayers();
+    state.placedLabels = state.showLabels ? placeLabels() : [];
+    state.placedLabels.forEach(label => {
+        L.marker(label.latlng, {
+            pane: LABEL_PANE,
+            interactive: false,
+            keyboard: false,
+            icon: L.divIcon({
+                className: `map-label map-label-${label.style}${label.selected ? ' selected' : ''}`,
+                html: escapeHTML(label.text),
+                iconSize: [label.width, label.height],
+                iconAnchor: [label.width / 2, label.height / 2]
+            })
+        }).addTo(state.labelLayer);
+    });
+}
+
+// Candidate labels in view, anchored at each polygon's pole, by priority
+// (selected first, then the most populous counties or the roomiest
+// townships), thinned so none overlap
+function placeLabels() {
+    const size = state.map.getSize();
+    const candidates = [];
+
+    const addCandidate = (text, pole, style, selected, priority) => {
+        const latlng = L.latLng(pole.lat, pole.lng);
+        const point = state.map.latLngToContainerPoint(latlng);
+        if (point.x < 0 || point.y < 0 || point.x > size.x || point.y > size.y) return;
+
+        const { size: fontSize } = LABEL_STYLES[style];
+        candidates.push({
+            text,
+            style,
+            selected,
+            priority,
+            latlng,
+            x: point.x,
+            y: point.y,
+            width: Math.ceil(Labels.measureText(text, getLabelFont(style), fontSize)),
+            height: fontSize + 4
+        });
+    };
+
+    if (state.map.getZoom() <= COUNTY_LABEL_MAX_ZOOM) {
+        const selectedCounties = new Set([...state.selectedTownships]
+            .map(name => state.townshipLayers.get(name))
+            .filter(Boolean)
+            .map(layer => layer.feature.properties.COUNTYNAME));
+        const populations = d3.rollup(state.geojsonData.features,
+            features => d3.sum(features, f => f.properties.population),
+            f => f.properties.COUNTYNAME);
+        state.countyMetrics.forEach((metrics, county) => {
+            const pole = getLabelPole(metrics);
+            if (!pole) return;
+            addCandidate(I18n.countyName(county), pole, 'county', selectedCounties.has(county), populations.get(county) || 0);
+        });
+    } else {
+        const view = state.map.getBounds();
+        state.geometryMetrics.forEach((metrics, fullname) => {
+            const selected = state.selectedTownships.has(fullname);
+            const layer = state.townshipLayers.get(fullname);
+            // Poles are computed lazily, so only for townships in view
+            if (!layer || !view.intersects(getTownshipBounds(fullname))) return;
+
+            const pole = getLabelPole(metrics);
+            if (!pole) return;
+            const radius = getRadiusInPixels(pole);
+            if (!layer || (!selected && radius < LABEL_MIN_RADIUS)) return;
+            addCandidate(I18n.shortTownshipName(layer.feature.properties), pole, selected ? 'selected' : 'township', selected, radius);
+        });
+    }
+
+    candidates.sort((a, b) => (b.selected - a.selected) || (b.priority - a.priority));
+    return Labels.place(candidates);
+}
+
+// Inscribed-circle radius of a pole (degrees of latitude) in screen px
+function getRadiusInPixels(pole) {
+    const center = state.map.latLngToContainerPoint([pole.lat, pole.lng]);
+    const edge = state.map.latLngToContainerPoint([pole.lat + pole.radius, pole.lng]);
+    return center.y - edge.y;
+}
+
+// ============================================================================
+// Base Map
+// ============================================================================
+
+function setupBaseMap() {
+    const select = document.getElementById('basemap-select');
+    L.DomEvent.disableClickPropagation(select.parentElement);
+
+    renderBaseMapOptions();
+    select.addEventListener('change', () => setBaseMap(select.value));
+    setBaseMap(readStoredBaseMap(), false);
+}
+
+// Base maps that can be shown: local tiles only once their URL is given
+function isBaseMapAvailable(key) {
+    const baseMap = BASE_MAPS[key];
+    return !!baseMap && (baseMap.type !== 'tiles' || !!baseMap.url);
+}
+
+// Take local tile URL templates from URL params (see BASE_MAPS)
+function applyBaseMapUrls(params) {
+    Object.values(BASE_MAPS).forEach(baseMap => {
+        if (baseMap.param && params[baseMap.param]) {
+            baseMap.url = params[baseMap.param];
+        }
+    });
+}
+
+function getBaseMapUrlParams() {
+    const params = {};
+    Object.values(BASE_MAPS).forEach(baseMap => {
+        if (baseMap.param) params[baseMap.param] = baseMap.url;
+    });
+    return params;
+}
+
+function readStoredBaseMap() {
+    try {
+        const stored = localStorage.getItem(BASE_MAP_STORAGE_KEY);
+        if (isBaseMapAvailable(stored)) return stored;
+    } catch (e) {
+        // Storage unavailable (private mode, file://)
+    }
+    return DEFAULT_BASE_MAP;
+}
+
+function renderBaseMapOptions() {
+    const select = document.getElementById('basemap-select');
+    select.innerHTML = Object.keys(BASE_MAPS)
+        .filter(isBaseMapAvailable)
+        .map(key => `<option value="${key}">${I18n.t(`basemap.${key}`)}</option>`)
+        .join('');
+    select.value = state.baseMap;
+}
+
+// Swap the base layer; remember marks it as the user's choice for next time
+function setBaseMap(key, remember = true) {
+    if (state.baseLayer) {
+        state.map.removeLayer(state.baseLayer);
+    }
+
+    state.baseMap = key;
+    state.baseLayer = createBaseLayer(key);
+    if (state.baseLayer) {
+        state.baseLayer.addTo(state.map);
+    }
+    document.getElementById('basemap-select').value = key;
+
+    if (remember) {
+        try {
+            localStorage.setItem(BASE_MAP_STORAGE_KEY, key);
+        } catch (e) {
+            // Storage unavailable; the base map still applies to this page
+        }
+    }
+}
+
+function createBaseLayer(key) {
+    const baseMap = BASE_MAPS[key];
+
+    if (baseMap.type === 'outline') {
+        return L.geoJSON(state.landOutline, {
+            pane: BASE_MAP_PANE,
+            style: OUTLINE_STYLE,
+            interactive: false
+        });
+    }
+    if (baseMap.type !== 'tiles') return null;
+
+    // Fall back to the outline when every tile of the first view fails.
+    // Local tile sets are often sparse (no sea tiles), so some errors are
+    // expected; 'load' fires once all requested tiles have loaded or failed.
+    const layer = L.tileLayer(baseMap.url, baseMap.options);
+    const firstView = { loaded: 0, failed: 0 };
+    const countLoaded = () => { firstView.loaded++; };
+    const countFailed = () => { firstView.failed++; };
+    layer.on('tileload', countLoaded);
+    layer.on('tileerror', countFailed);
+    layer.once('load', () => {
+        layer.off('tileload', countLoaded);
+        layer.off('tileerror', countFailed);
+        if (firstView.loaded > 0 || firstView.failed === 0 || state.baseLayer !== layer) return;
+        showToast(I18n.t('basemap.unavailable', { name: I18n.t(`basemap.${key}`) }));
+        setBaseMap(BASE_MAP_FALLBACK, false);
+    });
+    return layer;
+}
+
+// Cache the app shell and data for offline use (see sw.js). Service
+// workers need http(s), so opening index.html from disk skips this.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('Service worker registration failed:', error);
+    });
+}
+
+// ============================================================================
+// Language
+// ============================================================================
+
+function setupLanguageSwitch() {
+    const select = document.getElementById('language-select');
+    select.innerHTML = Object.entries(I18n.LANGUAGES)
+        .map(([code, language]) => `<option value="${code}">${language.label}</option>`)
+        .join('');
+    select.value = I18n.getLanguage();
+    select.addEventListener('change', () => setLanguage(select.value));
+
+    I18n.translatePage();
+}
+
+function setLanguage(code) {
+    if (code === I18n.getLanguage() || !I18n.setLanguage(code)) return;
+
+    document.getElementById('language-select').value = code;
+    applyLanguage();
+}
+
+// Re-render everything that shows translated text or township names
+function applyLanguage() {
+    I18n.translatePage();
+    renderClassificationOptions();
+    renderBarMetricOptions();
+    setBarMetric(state.barMetric);
+    renderBaseMapOptions();
+    createLegend();
+    updateDataReportButton();
+    updateHistoryButtons();
+    updateTownshipElementLabels();
+    document.getElementById('btn-year-play').title = I18n.t(state.yearPlayTimer ? 'year.pause' : 'year.play');
+
+    state.map.closePopup();
+    hideSearchResults();
+    const hovered = state.townshipLayers.get(state.hoveredTownship);
+    if (hovered) {
+        updateInfoBox(hovered.feature.properties);
+    }
+
+    updateUI();
+}
+
+// ============================================================================
+// Event Listeners
+// ============================================================================
+
+function setupEventListeners() {
+    document.getElementById('btn-clear').addEventListener('click', clearAllSelections);
+    document.getElementById('btn-select-all').addEventListener('click', selectAllTownships);
+    document.getElementById('btn-export').addEventListener('click', exportData);
+    document.getElementById('export-format').addEventListener('change', updateExportButton);
+    document.getElementById('btn-save-map').addEventListener('click', exportMapImage);
+    document.querySelectorAll('.chart-export-btn').forEach(btn => {
+        btn.addEventListener('click', () => exportChartImage(btn.dataset.chart, btn.dataset.format));
+    });
+    document.getElementById('btn-reset-map').addEventListener('click', resetMapView);
+    document.getElementById('btn-select-neighbors').addEventListener('click', selectNeighbors);
+    document.getElementById('btn-expand-ring').addEventListener('click', expandSelectionRing);
+
+    // Disable double-click zoom on map
+    state.map.doubleClickZoom.disable();
+
+    // Direct DOM event listener for click detection
+    // This bypasses Leaflet's event system which doesn't fire reliably after selections
+    const mapContainer = document.getElementById('map');
+    document.addEventListener('mouseup', function(e) {
+        // Only the primary button selects; right-click opens the neighbour menu
+        if (e.button !== 0) {
+            return;
+        }
+
+        // Check if click is within map bounds
+        const rect = mapContainer.getBoundingClientRect();
+        if (e.clientX < rect.left || e.clientX > rect.right ||
+            e.clientY < rect.top || e.clientY > rect.bottom) {
+            return; // Click outside map
+        }
+
+        // Ignore clicks on overlay controls (legend, year slider, tools)
+        if (e.target.closest && e.target.closest(MAP_OVERLAY_SELECTOR)) {
+            return;
+        }
+
+        // Drag-selection tools handle their own mouse events
+        if (state.selectionTool) {
+            return;
+        }
+
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+        const point = L.point(x, y);
+        const latlng = state.map.containerPointToLatLng(point);
+
+        // Find which township contains this point
+        const clickedName = findTownshipAt(latlng);
+
+        if (clickedName) {
+            const currentTime = Date.now();
+
+            // Check for double-click
+            if (state.lastClickedTownship === clickedName &&
+                (currentTime - state.lastClickTime) < DOUBLE_CLICK_THRESHOLD) {
+                // Double-click - deselect
+                if (state.selectedTownships.has(clickedName)) {
+                    deselectTownship(clickedName);
+                }
+            } else {
+                // Single click - select
+                if (!state.selectedTownships.has(clickedName)) {
+                    selectTownship(clickedName);
+                }
+            }
+
+            state.lastClickTime = currentTime;
+            state.lastClickedTownship = clickedName;
+        }
+    }, true);  // Use capture phase to get event before Leaflet
+
+    state.map.on('mousemove', handleMapMouseMove);
+    state.map.on('mouseout', handleMapMouseOut);
+    state.map.on('contextmenu', handleMapContextMenu);
+}
+
+// Find the township containing a point, using the spatial index to
+// narrow the polygon tests down to features whose bbox contains it
+function findTownshipAt(latlng) {
+    let found = null;
+    state.spatialIndex.searchPoint(latlng.lng, latlng.lat).forEach(feature => {
+        if (isPointInPolygon(latlng, feature.geometry)) {
+            found = feature.properties.FULLNAME;
+        }
+    });
+    return found;
+}
+
+// Point-in-polygon test
+function isPointInPolygon(latlng, geometry) {
+    const point = [latlng.lng, latlng.lat];
+
+    function isInRing(point, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+            if (((yi > point[1]) !== (yj > point[1])) &&
+                (point[0] < (xj - xi) * (point[1] - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
 
     if (geometry.type === 'Polygon') {
         // Check outer ring
@@ -862,11 +2745,1012 @@ function isPointInPolygon(latlng, geometry) {
                 if (!inHole) return true;
             }
         }
-        return false;
+        return false;
+    }
+    return false;
+}
+
+// ============================================================================
+// Keyboard Navigation and Announcements
+// ============================================================================
+
+// Township outlines are focusable buttons. Only one is in the tab order at
+// a time (roving tabindex); the arrow keys move between neighbours.
+function setupKeyboardNavigation() {
+    state.townshipLayers.forEach((layer, fullname) => {
+        const element = layer.getElement();
+        if (!element) return;
+
+        element.setAttribute('tabindex', '-1');
+        element.setAttribute('role', 'button');
+        element.setAttribute('data-fullname', fullname);
+        setTownshipPressed(layer, state.selectedTownships.has(fullname));
+    });
+    updateTownshipElementLabels();
+    resetKeyboardTownship();
+
+    // Focus shows the same info as hovering
+    const pane = state.map.getPane('overlayPane');
+    pane.addEventListener('keydown', handleTownshipKeydown);
+    pane.addEventListener('focusin', e => {
+        const fullname = getFocusedTownship(e.target);
+        if (fullname) {
+            setKeyboardTownship(fullname);
+            setHoveredTownship(fullname);
+        }
+    });
+    pane.addEventListener('focusout', e => {
+        if (!getFocusedTownship(e.relatedTarget)) {
+            setHoveredTownship(null);
+        }
+    });
+
+    const container = state.map.getContainer();
+    container.setAttribute('data-i18n-aria-label', 'map.label');
+    container.setAttribute('aria-label', I18n.t('map.label'));
+    container.setAttribute('aria-describedby', 'map-keyboard-help');
+}
+
+function updateTownshipElementLabels() {
+    state.townshipLayers.forEach(layer => {
+        const element = layer.getElement();
+        if (element) {
+            element.setAttribute('aria-label', I18n.townshipName(layer.feature.properties));
+        }
+    });
+}
+
+function getFocusedTownship(element) {
+    return element && element.getAttribute ? element.getAttribute('data-fullname') : null;
+}
+
+function setTownshipPressed(layer, pressed) {
+    const element = layer.getElement && layer.getElement();
+    if (element) {
+        element.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+    }
+}
+
+// First keyboard stop: the first selected township, else the northernmost
+function resetKeyboardTownship() {
+    const [firstSelected] = state.selectedTownships;
+    if (firstSelected) {
+        setKeyboardTownship(firstSelected);
+        return;
+    }
+
+    const latitudeOf = fullname => getTownshipCentroid(fullname).lat;
+    const northernmost = [...state.townshipLayers.keys()]
+        .reduce((best, fullname) => latitudeOf(fullname) > latitudeOf(best) ? fullname : best);
+    setKeyboardTownship(northernmost);
+}
+
+// Move the township's outline into the tab order
+function setKeyboardTownship(fullname) {
+    if (fullname === state.keyboardTownship) return;
+
+    const previous = state.townshipLayers.get(state.keyboardTownship);
+    if (previous && previous.getElement()) {
+        previous.getElement().setAttribute('tabindex', '-1');
+    }
+
+    state.keyboardTownship = fullname;
+    const layer = state.townshipLayers.get(fullname);
+    if (layer && layer.getElement()) {
+        layer.getElement().setAttribute('tabindex', '0');
+    }
+}
+
+// Focus a township's outline, panning it into view first
+function focusTownshipElement(fullname) {
+    const layer = state.townshipLayers.get(fullname);
+    if (!layer || !layer.getElement()) return;
+
+    const center = getTownshipCentroid(fullname);
+    if (!state.map.getBounds().contains(center)) {
+        state.map.panTo(center);
+    }
+    setKeyboardTownship(fullname);
+    layer.getElement().focus({ preventScroll: true });
+}
+
+function handleTownshipKeydown(e) {
+    const fullname = getFocusedTownship(e.target);
+    if (!fullname) return;
+
+    if (KEYBOARD_DIRECTIONS[e.key]) {
+        const next = findTownshipInDirection(fullname, KEYBOARD_DIRECTIONS[e.key]);
+        if (next) {
+            focusTownshipElement(next);
+        } else {
+            announce('announce-hover', I18n.t('announce.noneInDirection'));
+        }
+    } else if (e.key === 'Enter' || e.key === ' ') {
+        toggleTownship(fullname);
+        // Selecting re-orders the outlines, which drops focus
+        focusTownshipElement(fullname);
+    } else if (e.key === 'Escape') {
+        state.map.getContainer().focus();
+    } else {
+        return;
+    }
+
+    // Keep Leaflet's keyboard handler from panning the map as well
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+// The township the arrow key points to: the bordering township closest to
+// that direction, or across water (islands) the nearest one roughly that way
+function findTownshipInDirection(fullname, direction) {
+    const origin = state.map.project(getTownshipCentroid(fullname), 0);
+
+    function best(names, minCos, score) {
+        let result = null;
+        let bestScore = Infinity;
+        names.forEach(name => {
+            if (name === fullname || !state.townshipLayers.has(name)) return;
+
+            const point = state.map.project(getTownshipCentroid(name), 0);
+            const dx = point.x - origin.x;
+            const dy = point.y - origin.y;
+            const distance = Math.hypot(dx, dy);
+            if (distance === 0) return;
+
+            const cos = (dx * direction[0] + dy * direction[1]) / distance;
+            if (cos >= minCos && score(distance, cos) < bestScore) {
+                bestScore = score(distance, cos);
+                result = name;
+            }
+        });
+        return result;
+    }
+
+    return best(getAdjacency().getNeighbors(fullname), 0.38, (distance, cos) => 1 - cos) ||
+        best([...state.townshipLayers.keys()], 0.7, (distance, cos) => distance / cos);
+}
+
+function describeTownship(props) {
+    const parts = [
+        I18n.townshipName(props),
+        I18n.t('announce.population', { value: formatNumber(props.population) }),
+        I18n.t('announce.area', { value: formatArea(props.area) }),
+        I18n.t('announce.density', { value: formatNumber(props.density) })
+    ];
+    if (state.selectedTownships.has(props.FULLNAME)) {
+        parts.push(I18n.t('announce.selected'));
+    }
+    parts.push(`${I18n.t('field.neighbors')}: ${formatNeighborNames(props.FULLNAME)}`);
+    return parts.join(I18n.t('common.clauseSeparator'));
+}
+
+function announceSelectionTotals() {
+    const count = state.selectedTownships.size;
+    let message = I18n.t('announce.noSelection');
+    if (count > 0) {
+        const totals = aggregateTownships(state.selectedTownships);
+        message = I18n.t('announce.totals', {
+            count,
+            population: formatNumber(totals.population),
+            density: formatNumber(totals.density)
+        });
+    }
+
+    if (message === state.selectionAnnouncement) return;
+
+    // The first summary (page load) is recorded, not read out
+    const isFirst = state.selectionAnnouncement === null;
+    state.selectionAnnouncement = message;
+    if (!isFirst) {
+        announce('announce-selection', message);
+    }
+}
+
+// Live regions are updated after a short pause so sweeping the pointer
+// across the map doesn't queue one announcement per township
+function announce(regionId, message) {
+    clearTimeout(state.announceTimers[regionId]);
+    state.announceTimers[regionId] = setTimeout(() => {
+        document.getElementById(regionId).textContent = message;
+    }, ANNOUNCE_DELAY);
+}
+
+// ============================================================================
+// Township Adjacency
+// ============================================================================
+
+// Finding shared borders takes most of a second, so it runs in idle time
+// after the first render (scheduleAdjacencyBuild); anything that needs the
+// graph sooner finishes the remaining work on the spot
+function getAdjacency() {
+    if (!state.adjacency) {
+        const builder = state.adjacencyBuilder || createAdjacencyBuilder();
+        state.adjacency = builder.finish();
+        state.adjacencyBuilder = null;
+    }
+    return state.adjacency;
+}
+
+function createAdjacencyBuilder() {
+    return Adjacency.createBuilder(state.geojsonData.features, props => props.FULLNAME);
+}
+
+function scheduleAdjacencyBuild() {
+    state.adjacencyBuilder = createAdjacencyBuilder();
+
+    const work = deadline => {
+        const builder = state.adjacencyBuilder;
+        if (!builder) return;   // Finished on demand meanwhile
+
+        // One township at a time; the largest take tens of ms
+        while (deadline.timeRemaining() > 1) {
+            if (builder.step(1)) {
+                getAdjacency();
+                return;
+            }
+        }
+        whenIdle(work);
+    };
+    whenIdle(work);
+}
+
+// Neighbour names for display; the county is kept only across county lines
+function formatNeighborNames(fullname) {
+    const neighbors = getAdjacency().getNeighbors(fullname);
+    if (neighbors.length === 0) return I18n.t('common.none');
+
+    const propsOf = name => state.townshipLayers.get(name).feature.properties;
+    const county = propsOf(fullname).COUNTYNAME;
+    return neighbors
+        .map(name => propsOf(name).COUNTYNAME === county
+            ? I18n.shortTownshipName(propsOf(name))
+            : I18n.townshipName(propsOf(name)))
+        .join(I18n.t('common.separator'));
+}
+
+// Add townships to the selection in one batch; returns how many were new
+function addToSelection(names) {
+    let added = 0;
+    names.forEach(name => {
+        if (!state.selectedTownships.has(name) && state.townshipLayers.has(name)) {
+            selectTownship(name, false);
+            added++;
+        }
+    });
+
+    bringSelectedToFront();
+    updateUI();
+    return added;
+}
+
+// Replace the selection with the townships bordering it (e.g. the belt
+// around a core district)
+function selectNeighbors() {
+    const ring = getAdjacency().ring(state.selectedTownships);
+    if (ring.length === 0) {
+        showToast(I18n.t('toast.noNeighbors'));
+        return;
+    }
+    setSelection(ring);
+    showToast(I18n.t('toast.neighborsSelected', { count: ring.length }));
+}
+
+// Add every township bordering the selection
+function expandSelectionRing() {
+    const added = addToSelection(getAdjacency().ring(state.selectedTownships));
+    showToast(I18n.t('toast.ringExpanded', { count: added }));
+}
+
+// Add a township and its neighbours
+function selectTownshipWithNeighbors(fullname) {
+    const added = addToSelection([fullname, ...getAdjacency().getNeighbors(fullname)]);
+    showToast(I18n.t('toast.added', { count: added }));
+}
+
+// Add every township reachable from fullname through shared borders, or
+// with withinCounty only those of its county (leaving out the county's
+// islands and detached parts)
+function selectConnectedRegion(fullname, withinCounty = false) {
+    const countyOf = name => state.townshipLayers.get(name).feature.properties.COUNTYNAME;
+    const county = countyOf(fullname);
+    const within = withinCounty ? name => countyOf(name) === county : undefined;
+    const added = addToSelection(getAdjacency().component(fullname, within));
+    showToast(I18n.t('toast.added', { count: added }));
+}
+
+function updateNeighborButtons() {
+    const empty = state.selectedTownships.size === 0;
+    document.getElementById('btn-select-neighbors').disabled = empty;
+    document.getElementById('btn-expand-ring').disabled = empty;
+}
+
+// Right-click a township for neighbour actions
+function handleMapContextMenu(e) {
+    const fullname = findTownshipAt(e.latlng);
+    if (!fullname) return;
+
+    const layer = state.townshipLayers.get(fullname);
+    const popupContent = createPopupContent(layer.feature.properties) + `
+        <div class="popup-neighbors">${I18n.t('field.neighbors')}: ${formatNeighborNames(fullname)}</div>
+        <button class="btn popup-select-btn" data-action="neighbors">${I18n.t('popup.selectWithNeighbors')}</button>
+        <button class="btn popup-select-btn" data-action="region">${I18n.t('popup.selectRegion')}</button>
+        <button class="btn popup-select-btn" data-action="county-region">${I18n.t('popup.selectCountyRegion')}</button>
+    `;
+
+    L.popup({ autoPan: false })
+        .setLatLng(e.latlng)
+        .setContent(popupContent)
+        .openOn(state.map);
+
+    document.querySelectorAll('.leaflet-popup .popup-select-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.action === 'neighbors') {
+                selectTownshipWithNeighbors(fullname);
+            } else {
+                selectConnectedRegion(fullname, btn.dataset.action === 'county-region');
+            }
+            state.map.closePopup();
+        });
+    });
+}
+
+// ============================================================================
+// Township Groups
+// ============================================================================
+
+function setupGroups() {
+    const nameInput = document.getElementById('group-name');
+
+    state.groupLayer = L.layerGroup().addTo(state.map);
+
+    document.getElementById('btn-save-group').addEventListener('click', saveSelectionAsGroup);
+    nameInput.addEventListener('keydown', e => {
+        if (e.key === 'Enter') saveSelectionAsGroup();
+    });
+
+    document.getElementById('group-compare').addEventListener('change', e => {
+        state.compareGroups = e.target.checked;
+        updateBarPlots();
+    });
+
+    document.getElementById('group-list').addEventListener('click', e => {
+        const btn = e.target.closest('[data-group-action]');
+        if (!btn) return;
+
+        const index = Number(btn.dataset.groupIndex);
+        if (btn.dataset.groupAction === 'load') {
+            setSelection(state.groups[index].townships);
+        } else {
+            deleteGroup(index);
+        }
+    });
+}
+
+function saveSelectionAsGroup() {
+    if (state.selectedTownships.size === 0) return;
+
+    const nameInput = document.getElementById('group-name');
+    const name = nameInput.value.trim() || I18n.t('groups.defaultName', { n: state.groups.length + 1 });
+    addGroup(name, [...state.selectedTownships]);
+    renderGroupOutlines();
+    updateUI();
+    nameInput.value = '';
+    showToast(I18n.t('groups.saved', { name }));
+}
+
+// Add a group, or replace the townships of an existing group with the same name
+function addGroup(name, townships) {
+    const existing = state.groups.find(group => group.name === name);
+    if (existing) {
+        existing.townships = townships;
+    } else {
+        const used = new Set(state.groups.map(group => group.color));
+        const color = GROUP_COLORS.find(c => !used.has(c)) || GROUP_COLORS[state.groups.length % GROUP_COLORS.length];
+        state.groups.push({ name, color, townships });
+    }
+}
+
+function deleteGroup(index) {
+    state.groups.splice(index, 1);
+    if (state.groups.length === 0) {
+        state.compareGroups = false;
+    }
+
+    renderGroupOutlines();
+    updateUI();
+}
+
+// One dissolved outline per group, from the geometry drawn at this zoom
+function renderGroupOutlines() {
+    if (!state.groupLayer) return;
+    state.groupLayer.clearLayers();
+
+    const geometries = state.geometryLOD.getGeometries(state.geometryLevel);
+    const indexByName = new Map(state.geojsonData.features.map((f, i) => [f.properties.FULLNAME, i]));
+
+    state.groups.forEach(group => {
+        const features = group.townships
+            .filter(name => indexByName.has(name))
+            .map(name => ({ type: 'Feature', properties: {}, geometry: geometries[indexByName.get(name)] }));
+        if (features.length === 0) return;
+
+        const outline = Exporters.dissolve(features, { name: group.name });
+        L.geoJSON(outline, { style: { ...GROUP_OUTLINE_STYLE, color: group.color }, interactive: false })
+            .addTo(state.groupLayer);
+    });
+}
+
+function zoomToGroup(name) {
+    const group = state.groups.find(g => g.name === name);
+    if (!group) return;
+
+    const bounds = L.latLngBounds([]);
+    group.townships.forEach(fullname => {
+        if (state.geometryMetrics.has(fullname)) bounds.extend(getTownshipBounds(fullname));
+    });
+    if (bounds.isValid()) {
+        state.map.flyToBounds(bounds, { maxZoom: SEARCH_MAX_ZOOM, padding: [40, 40] });
+    }
+}
+
+// Aggregate population, area and density per group, for the bar plots
+function getGroupComparisonData() {
+    return state.groups.map(group => ({
+        name: group.name,
+        color: group.color,
+        ...aggregateTownships(group.townships)
+    }));
+}
+
+// Group table: aggregates of every group side by side
+function updateGroupList() {
+    const container = document.getElementById('group-list');
+    const compare = document.getElementById('group-compare');
+
+    document.getElementById('btn-save-group').disabled = state.selectedTownships.size === 0;
+    compare.disabled = state.groups.length === 0;
+    compare.checked = state.compareGroups;
+
+    if (state.groups.length === 0) {
+        container.innerHTML = `<p class="empty-message">${I18n.t('groups.empty')}</p>`;
+        return;
+    }
+
+    const rows = state.groups.map((group, i) => {
+        const totals = aggregateTownships(group.townships);
+        return `
+            <tr>
+                <td><span class="group-swatch" style="border-color: ${group.color}"></span></td>
+                <td class="group-name">${escapeHTML(group.name)}</td>
+                <td>${group.townships.length}</td>
+                <td>${formatNumber(totals.population)}</td>
+                <td>${formatNumber(Math.round(totals.area))}</td>
+                <td>${formatNumber(totals.density)}</td>
+                <td class="group-actions">
+                    <button class="group-btn" data-group-action="load" data-group-index="${i}" title="${I18n.t('groups.load.title')}">${I18n.t('groups.load')}</button>
+                    <button class="group-btn" data-group-action="delete" data-group-index="${i}" title="${I18n.t('groups.delete.title')}">✕</button>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="group-table">
+            <thead>
+                <tr><th></th>${['group', 'townships', 'population', 'area', 'density']
+                    .map(column => `<th>${I18n.t(`groups.column.${column}`)}</th>`).join('')}<th></th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+// ============================================================================
+// Drag Selection (Lasso / Box)
+// ============================================================================
+
+function setupSelectionTools() {
+    const tools = document.getElementById('map-tools');
+    L.DomEvent.disableClickPropagation(tools);
+
+    tools.querySelectorAll('[data-tool]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const tool = btn.dataset.tool;
+            setSelectionTool(state.selectionTool === tool ? null : tool);
+        });
+    });
+
+    const mapContainer = document.getElementById('map');
+    mapContainer.addEventListener('mousedown', handleDragSelectionStart, true);
+    document.addEventListener('mousemove', handleDragSelectionMove);
+    document.addEventListener('mouseup', handleDragSelectionEnd);
+
+    document.addEventListener('keydown', e => {
+        if (e.key === 'Escape' && state.selectionTool) {
+            cancelDragSelection();
+            setSelectionTool(null);
+        }
+    });
+}
+
+function setSelectionTool(tool) {
+    state.selectionTool = tool;
+
+    // Map panning and Leaflet's Shift+drag box zoom would fight the tools
+    if (tool) {
+        state.map.dragging.disable();
+        state.map.boxZoom.disable();
+    } else {
+        state.map.dragging.enable();
+        state.map.boxZoom.enable();
+    }
+
+    document.getElementById('map').classList.toggle('selection-tool-active', !!tool);
+    document.querySelectorAll('#map-tools [data-tool]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.tool === tool);
+    });
+}
+
+function eventToLatLng(e) {
+    const rect = document.getElementById('map').getBoundingClientRect();
+    return state.map.containerPointToLatLng(L.point(e.clientX - rect.left, e.clientY - rect.top));
+}
+
+function handleDragSelectionStart(e) {
+    if (!state.selectionTool || e.button !== 0) return;
+    if (e.target.closest && e.target.closest(MAP_OVERLAY_SELECTOR)) return;
+
+    const latlng = eventToLatLng(e);
+    state.dragSelection = {
+        points: [latlng],
+        lastClientPoint: [e.clientX, e.clientY],
+        shapeLayer: L.polygon([latlng], DRAG_SHAPE_STYLE).addTo(state.map)
+    };
+
+    e.preventDefault();
+    e.stopPropagation();
+}
+
+function handleDragSelectionMove(e) {
+    const drag = state.dragSelection;
+    if (!drag) return;
+
+    const latlng = eventToLatLng(e);
+
+    if (state.selectionTool === 'box') {
+        const start = drag.points[0];
+        drag.points = [
+            start,
+            L.latLng(start.lat, latlng.lng),
+            latlng,
+            L.latLng(latlng.lat, start.lng)
+        ];
+    } else {
+        const [lastX, lastY] = drag.lastClientPoint;
+        if (Math.hypot(e.clientX - lastX, e.clientY - lastY) < LASSO_MIN_STEP) return;
+        drag.points.push(latlng);
+        drag.lastClientPoint = [e.clientX, e.clientY];
+    }
+
+    drag.shapeLayer.setLatLngs(drag.points);
+}
+
+function handleDragSelectionEnd(e) {
+    const drag = state.dragSelection;
+    if (!drag) return;
+
+    cancelDragSelection();
+    if (drag.points.length < 3) return;
+
+    // Shift adds to the selection, Alt subtracts, otherwise replace
+    const mode = e.altKey ? 'subtract' : (e.shiftKey ? 'add' : 'replace');
+    const ring = drag.points.map(p => [p.lng, p.lat]);
+    applyShapeSelection(findTownshipsInShape(ring), mode);
+}
+
+function cancelDragSelection() {
+    if (state.dragSelection) {
+        state.map.removeLayer(state.dragSelection.shapeLayer);
+        state.dragSelection = null;
+    }
+}
+
+// Townships whose polygon intersects or lies inside a [lng, lat] ring
+function findTownshipsInShape(ring) {
+    const shape = { type: 'Polygon', coordinates: [ring] };
+    const bbox = SpatialIndex.computeBBox(shape);
+
+    return state.spatialIndex.search(bbox)
+        .filter(feature => geometryIntersectsShape(feature.geometry, shape))
+        .map(feature => feature.properties.FULLNAME);
+}
+
+function geometryIntersectsShape(geometry, shape) {
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    const shapeRing = shape.coordinates[0];
+    const toLatLng = c => ({ lng: c[0], lat: c[1] });
+
+    // Any township vertex inside the shape (covers containment)
+    for (const polygon of polygons) {
+        if (polygon[0].some(c => isPointInPolygon(toLatLng(c), shape))) return true;
+    }
+
+    // Any shape vertex inside the township (shape drawn inside it)
+    if (shapeRing.some(c => isPointInPolygon(toLatLng(c), geometry))) return true;
+
+    // Edges crossing without either containing a vertex of the other
+    return polygons.some(polygon => ringsCross(polygon[0], shapeRing));
+}
+
+function ringsCross(ringA, ringB) {
+    for (let i = 0, j = ringA.length - 1; i < ringA.length; j = i++) {
+        for (let k = 0, l = ringB.length - 1; k < ringB.length; l = k++) {
+            if (segmentsIntersect(ringA[j], ringA[i], ringB[l], ringB[k])) return true;
+        }
     }
     return false;
 }
 
+function segmentsIntersect(p1, p2, p3, p4) {
+    const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+    const d1 = cross(p3, p4, p1);
+    const d2 = cross(p3, p4, p2);
+    const d3 = cross(p1, p2, p3);
+    const d4 = cross(p1, p2, p4);
+    return ((d1 > 0) !== (d2 > 0)) && ((d3 > 0) !== (d4 > 0));
+}
+
+function applyShapeSelection(names, mode) {
+    if (mode === 'replace') {
+        setSelection(names);
+        return;
+    }
+
+    names.forEach(name => {
+        if (mode === 'subtract') {
+            if (state.selectedTownships.has(name)) {
+                deselectTownship(name, false);
+            }
+        } else if (!state.selectedTownships.has(name)) {
+            selectTownship(name, false);
+        }
+    });
+
+    bringSelectedToFront();
+    updateUI();
+}
+
+// ============================================================================
+// Township Search
+// ============================================================================
+
+function setupSearch() {
+    // Counties are also found by their English names in either language
+    TownshipSearch.buildIndex(state.geojsonData.features, county => [I18n.countyName(county, 'en')]);
+
+    const container = document.getElementById('map-search');
+    const input = document.getElementById('search-input');
+    const list = document.getElementById('search-results');
+
+    L.DomEvent.disableClickPropagation(container);
+    L.DomEvent.disableScrollPropagation(container);
+
+    input.addEventListener('input', () => {
+        renderSearchResults(TownshipSearch.search(input.value));
+    });
+    input.addEventListener('keydown', handleSearchKeydown);
+    input.addEventListener('focus', () => {
+        if (input.value) {
+            renderSearchResults(TownshipSearch.search(input.value));
+        }
+    });
+    // Delay so a click on a result lands before the list is hidden
+    input.addEventListener('blur', () => setTimeout(hideSearchResults, 150));
+
+    // mousedown fires before the input loses focus
+    list.addEventListener('mousedown', e => {
+        const item = e.target.closest('[data-index]');
+        if (item) {
+            e.preventDefault();
+            chooseSearchResult(Number(item.dataset.index));
+        }
+    });
+}
+
+function renderSearchResults(results) {
+    const input = document.getElementById('search-input');
+    const list = document.getElementById('search-results');
+
+    state.searchResults = results;
+    state.searchActiveIndex = results.length > 0 ? 0 : -1;
+
+    if (!input.value.trim()) {
+        hideSearchResults();
+        return;
+    }
+
+    if (results.length === 0) {
+        list.innerHTML = `<li class="search-empty">${I18n.t('search.empty')}</li>`;
+    } else {
+        list.innerHTML = results.map(({ feature }, i) => `
+            <li id="search-result-${i}" class="search-result" role="option" data-index="${i}">
+                <span class="search-result-name">${I18n.townshipName(feature.properties)}</span>
+                <span class="search-result-eng">${I18n.getLanguage() === 'en' ? feature.properties.FULLNAME : feature.properties.TOWNENG}</span>
+            </li>
+        `).join('');
+    }
+
+    list.style.display = 'block';
+    input.setAttribute('aria-expanded', 'true');
+    updateSearchActiveItem();
+}
+
+function updateSearchActiveItem() {
+    const input = document.getElementById('search-input');
+    const items = document.querySelectorAll('#search-results .search-result');
+
+    items.forEach((item, i) => {
+        const active = i === state.searchActiveIndex;
+        item.classList.toggle('active', active);
+        item.setAttribute('aria-selected', active ? 'true' : 'false');
+        if (active) {
+            item.scrollIntoView({ block: 'nearest' });
+        }
+    });
+
+    if (state.searchActiveIndex >= 0) {
+        input.setAttribute('aria-activedescendant', `search-result-${state.searchActiveIndex}`);
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function hideSearchResults() {
+    document.getElementById('search-results').style.display = 'none';
+    document.getElementById('search-input').setAttribute('aria-expanded', 'false');
+}
+
+function handleSearchKeydown(e) {
+    const count = state.searchResults.length;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            if (count > 0) {
+                state.searchActiveIndex = (state.searchActiveIndex + 1) % count;
+                updateSearchActiveItem();
+            }
+            e.preventDefault();
+            break;
+        case 'ArrowUp':
+            if (count > 0) {
+                state.searchActiveIndex = (state.searchActiveIndex - 1 + count) % count;
+                updateSearchActiveItem();
+            }
+            e.preventDefault();
+            break;
+        case 'Enter':
+            if (state.searchActiveIndex >= 0) {
+                chooseSearchResult(state.searchActiveIndex);
+            }
+            e.preventDefault();
+            break;
+        case 'Escape':
+            e.target.value = '';
+            hideSearchResults();
+            e.target.blur();
+            break;
+    }
+}
+
+function chooseSearchResult(index) {
+    const result = state.searchResults[index];
+    if (!result) return;
+
+    const fullname = result.feature.properties.FULLNAME;
+    document.getElementById('search-input').value = getTownshipLabel(fullname);
+    hideSearchResults();
+    focusTownship(fullname);
+}
+
+// Fly to a township, flash its outline and offer to select it in a popup
+function focusTownship(fullname) {
+    const layer = state.townshipLayers.get(fullname);
+    if (!layer) return;
+
+    state.map.flyToBounds(getTownshipBounds(fullname), { maxZoom: SEARCH_MAX_ZOOM, padding: [40, 40] });
+    flashTownship(fullname);
+
+    const isSelected = state.selectedTownships.has(fullname);
+    const popupContent = createPopupContent(layer.feature.properties) + `
+        <button class="btn popup-select-btn">${I18n.t(isSelected ? 'popup.deselect' : 'popup.select')}</button>
+    `;
+
+    // Popup at the pole, which always lies inside the township
+    const pole = getPole(getTownshipMetrics(fullname));
+    L.popup({ autoPan: false })
+        .setLatLng([pole.lat, pole.lng])
+        .setContent(popupContent)
+        .openOn(state.map);
+
+    const btn = document.querySelector('.leaflet-popup .popup-select-btn');
+    if (btn) {
+        btn.addEventListener('click', () => {
+            toggleTownship(fullname);
+            state.map.closePopup();
+        });
+    }
+}
+
+function flashTownship(fullname) {
+    // Restore the previous highlight first
+    if (state.searchHighlight) {
+        clearTimeout(state.searchHighlight.timer);
+        restoreTownshipStyle(state.searchHighlight.fullname);
+    }
+
+    const layer = state.townshipLayers.get(fullname);
+    layer.setStyle(SEARCH_HIGHLIGHT_STYLE);
+    layer.bringToFront();
+
+    state.searchHighlight = {
+        fullname,
+        timer: setTimeout(() => {
+            restoreTownshipStyle(fullname);
+            state.searchHighlight = null;
+        }, SEARCH_HIGHLIGHT_DURATION)
+    };
+}
+
+function restoreTownshipStyle(fullname) {
+    const layer = state.townshipLayers.get(fullname);
+    if (layer) {
+        layer.setStyle(styleFeature(layer.feature));
+    }
+    bringSelectedToFront();
+}
+
+// ============================================================================
+// URL State
+// ============================================================================
+
+// County code -> all TOWNCODEs, for compact whole-county encoding
+function getCountyTownCodes() {
+    const countyTownCodes = new Map();
+    state.geojsonData.features.forEach(feature => {
+        const { COUNTYCODE, TOWNCODE } = feature.properties;
+        if (!countyTownCodes.has(COUNTYCODE)) {
+            countyTownCodes.set(COUNTYCODE, []);
+        }
+        countyTownCodes.get(COUNTYCODE).push(TOWNCODE);
+    });
+    return countyTownCodes;
+}
+
+function buildUrlStateParams() {
+    const cls = state.classification;
+    const countyTownCodes = getCountyTownCodes();
+    const codesOf = names => state.geojsonData.features
+        .filter(f => names.has(f.properties.FULLNAME))
+        .map(f => f.properties.TOWNCODE);
+    const groups = state.groups.map(group => ({ name: group.name, codes: codesOf(new Set(group.townships)) }));
+    // Uploaded data is not part of the link, so neither is a variable from it
+    const sharedVariable = isUploadedVariable(state.mappedVariable) ? null : state.mappedVariable;
+
+    return {
+        v: UrlState.encodeView(state.map.getCenter(), state.map.getZoom()),
+        s: UrlState.encodeSelection(codesOf(state.selectedTownships), countyTownCodes),
+        g: UrlState.encodeGroups(groups, countyTownCodes),
+        y: state.years.length > 1 ? state.currentYear : null,
+        lang: I18n.getLanguage(),
+        var: sharedVariable,
+        cls: cls.scheme === 'manual' ? cls.scheme : `${cls.scheme},${cls.classCount}`,
+        b: cls.scheme === 'manual' && sharedVariable ? cls.manualBreaks[sharedVariable].join(',') : null,
+        ...getBaseMapUrlParams()
+    };
+}
+
+// Write the hash once changes settle; replaceState keeps the back button usable
+function scheduleUrlStateUpdate() {
+    if (!state.geojsonData) return;
+
+    clearTimeout(state.urlUpdateTimer);
+    state.urlUpdateTimer = setTimeout(() => {
+        const hash = UrlState.buildHash(buildUrlStateParams());
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+        }
+    }, URL_UPDATE_DELAY);
+}
+
+// Apply year, language, local tile URLs, mapped variable and classification
+// from URL params. Must run before the classification is computed.
+function applyUrlDisplayOptions(params) {
+    const cls = state.classification;
+
+    if (params.y && state.populationSeries[params.y]) {
+        applyYearData(params.y);
+    }
+
+    if (params.lang) {
+        I18n.setLanguage(params.lang);
+    }
+
+    applyBaseMapUrls(params);
+
+    if (params.var && MAPPED_VARIABLES[params.var]) {
+        state.mappedVariable = params.var;
+    }
+
+    if (params.cls) {
+        const [scheme, classCount] = params.cls.split(',');
+        if (Classification.SCHEMES.includes(scheme)) {
+            cls.scheme = scheme;
+        }
+        if (Number(classCount) >= Classification.minClasses && Number(classCount) <= Classification.maxClasses) {
+            cls.classCount = Number(classCount);
+        }
+    }
+
+    if (params.b) {
+        const breaks = Classification.parseBreaks(params.b);
+        if (breaks.length > 0) {
+            cls.manualBreaks[state.mappedVariable] = breaks;
+        }
+    }
+}
+
+// Apply groups, selection and map view from URL params
+function applyUrlSelectionAndView(params) {
+    const countyTownCodes = getCountyTownCodes();
+    const namesOf = codeList => {
+        const codes = new Set(codeList);
+        return state.geojsonData.features
+            .filter(f => codes.has(f.properties.TOWNCODE))
+            .map(f => f.properties.FULLNAME);
+    };
+
+    // Empty groups and selections are left out of the hash, so a missing
+    // parameter clears them (a link opened in a tab that has some)
+    if (params.g !== undefined || state.groups.length > 0) {
+        state.groups = [];
+        UrlState.decodeGroups(params.g, countyTownCodes).forEach(group => {
+            addGroup(group.name, namesOf(group.codes));
+        });
+        renderGroupOutlines();
+        updateUI();
+    }
+
+    setSelection(namesOf(UrlState.decodeSelection(params.s, countyTownCodes)));
+
+    const view = UrlState.decodeView(params.v);
+    if (view) {
+        state.map.setView(view.center, view.zoom);
+    }
+}
+
+function setupUrlState() {
+    state.map.on('moveend', scheduleUrlStateUpdate);
+
+    // A link pasted into an already open tab only changes the hash
+    window.addEventListener('hashchange', () => {
+        const params = UrlState.parseHash(window.location.hash);
+        const language = I18n.getLanguage();
+        applyUrlDisplayOptions(params);
+        if (I18n.getLanguage() !== language) {
+            document.getElementById('language-select').value = I18n.getLanguage();
+            applyLanguage();
+        }
+        renderBaseMapOptions();
+        syncClassificationControls();
+        if (state.years.length > 1) {
+            document.getElementById('year-slider').value = state.years.indexOf(state.currentYear);
+            updateYearLabel();
+        }
+        applyClassification();
+        applyUrlSelectionAndView(params);
+    });
+}
+
 // ============================================================================
 // Initialization
 // ============================================================================
@@ -877,11 +3761,44 @@ async function init() {
     const dataLoaded = await loadData();
 
     if (dataLoaded) {
+        Object.entries(MAPPED_VARIABLES).forEach(([key, variable]) => {
+            state.classification.manualBreaks[key] = [...variable.defaultBreaks];
+        });
+
+        // Restore display options shared through the URL hash
+        const urlParams = UrlState.parseHash(window.location.hash);
+        applyUrlDisplayOptions(urlParams);
+        setupLanguageSwitch();
+        setupBaseMap();
+
+        updateClassification();
         createGeoJSONLayer();
+        setupLabels();
+        setupKeyboardNavigation();
         createLegend();
+        setupClassificationControls();
+        setupYearControl();
         setupEventListeners();
+        setupBarPlotLinks();
+        setupSelectionTools();
+        setupSearch();
+        setupDataReport();
+        setupDataUpload();
+        setupGroups();
+        setupSelectionHistory();
         updateUI();
+
+        // Restore selection and view, then keep the hash in sync.
+        // A shared selection is the starting point, not an undoable step.
+        applyUrlSelectionAndView(urlParams);
+        resetSelectionHistory();
+        resetKeyboardTownship();
+        setupUrlState();
+
+        scheduleAdjacencyBuild();
     }
+
+    registerServiceWorker();
 }
 
 // Start application
@@ -891,11 +3808,17 @@ document.addEventListener('DOMContentLoaded', init);
 window.state = state;
 window.deselectTownship = deselectTownship;
 window.selectCounty = selectCounty;
+window.setYear = setYear;
+window.setLanguage = setLanguage;
 window.toggleCountyGroup = toggleCountyGroup;
 window.removeTownshipFromList = removeTownshipFromList;
 window.handleClick = handleClick;
 window.handleDoubleClick = handleDoubleClick;
-window.handleMouseOver = handleMouseOver;
-window.handleMouseOut = handleMouseOut;
+window.findTownshipAt = findTownshipAt;
+window.focusTownship = focusTownship;
+window.getAdjacency = getAdjacency;
+window.undoSelection = undoSelection;
+window.toggleTownship = toggleTownship;
+window.redoSelection = redoSelection;
 window.handleMouseUp = handleMouseUp;
 window.DOUBLE_CLICK_THRESHOLD = DOUBLE_CLICK_THRESHOLD;
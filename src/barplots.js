@@ -1,6 +1,8 @@
 /**
  * D3.js Bar Plots for Taiwan Population Density Map
  * Scrollable version - shows 15 bars at a time with horizontal scroll for more
+ * Also draws the density distribution (histogram or KDE) and the Lorenz
+ * curve of population against area
  */
 
 const BarPlots = (function() {
@@ -9,20 +11,57 @@ const BarPlots = (function() {
         margin: { top: 20, right: 20, bottom: 50, left: 60 },
         barPadding: 0.2,
         maxVisibleBars: 15, // Maximum bars to show without scrolling
+        clickDelay: 250,    // Wait for a possible double-click before a click fires
         colors: {
             density: '#E9BB1F',
             population: '#629FA4'
+        },
+        referenceColors: ['#293336', '#e85d4c'],
+        distribution: {
+            margin: { top: 16, right: 16, bottom: 36, left: 44 },
+            binsPerDecade: 4,
+            kdePoints: 120,
+            lorenzColor: '#aa4c2c'
+        },
+        export: {
+            titleHeight: 28,
+            // Properties copied from computed styles so exported SVGs stand alone
+            styleProperties: [
+                'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity',
+                'stroke-dasharray', 'opacity', 'font-family', 'font-size', 'font-weight',
+                'text-anchor', 'dominant-baseline'
+            ]
         }
     };
 
     // State
     let initialized = false;
     let lastData = [];
+    let lastReferences = {};
+    let lastDistributionData = [];
+    let highlightedName = null;
+    let clickTimer = null;
+
+    // Display options shared by both charts
+    const options = {
+        scale: 'linear',       // 'linear' | 'sqrt' | 'log'
+        sort: 'value',         // 'value' | 'name' | 'county' | 'north'
+        showReferences: true,
+        distribution: 'histogram', // 'histogram' | 'kde'
+        // Value plotted by the second chart: an item field, with its tooltip
+        // unit and precision (population, area or an uploaded column)
+        metric: { key: 'population', unit: null, decimals: 0 }
+    };
+
+    // Events: hover (item or null), click (item), remove (item)
+    const dispatch = d3.dispatch('hover', 'click', 'remove');
 
     // Store chart state for animations
     const chartState = {
         density: { prevData: [], elements: null },
-        population: { prevData: [], elements: null }
+        population: { prevData: [], elements: null },
+        distribution: { elements: null },
+        lorenz: { elements: null }
     };
 
     /**
@@ -50,12 +89,20 @@ const BarPlots = (function() {
         // Render empty state
         renderChart('density-bar-plot', [], 'density');
         renderChart('population-bar-plot', [], 'population');
+        renderDistribution('distribution-plot', []);
+        renderLorenz('lorenz-plot', []);
     }
 
     /**
-     * Update both bar plots with new data
+     * Update both bar plots with new data: [{ name, label?, population,
+     * density, area, county?, latitude?, color? }]; name identifies the item
+     * in events, label is the displayed name (defaults to name), color
+     * overrides the chart's bar colour (e.g. groups). Items may carry
+     * further numeric fields for the second chart's metric; items without
+     * the metric are left out of that chart. references holds horizontal
+     * reference lines per chart: { density: [{ label, value }], population: [...] }
      */
-    function update(data) {
+    function update(data, references) {
         if (!initialized) {
             init();
         }
@@ -66,23 +113,317 @@ const BarPlots = (function() {
         }
 
         lastData = data || [];
+        lastReferences = references || {};
         console.log('BarPlots: Updating with', lastData.length, 'items');
 
         // Sort and render (auto-scaling to fit container)
-        const densityData = [...lastData]
-            .sort((a, b) => b.density - a.density);
+        renderChart('density-bar-plot', sortData(lastData, 'density'), 'density');
+        const metricData = lastData.filter(d => typeof d[options.metric.key] === 'number');
+        renderChart('population-bar-plot', sortData(metricData, options.metric.key), 'population',
+            lastData.length > 0 ? I18n.t('chart.noMetricData') : I18n.t('chart.empty'));
+    }
+
+    /**
+     * Change display options ({ scale, sort, showReferences, metric }) and re-render
+     */
+    function setOptions(newOptions) {
+        Object.assign(options, newOptions);
+        if (initialized) {
+            update(lastData, lastReferences);
+            updateDistribution(lastDistributionData);
+        }
+    }
+
+    /**
+     * Update the distribution charts with [{ name, population, area, density }]
+     */
+    function updateDistribution(data) {
+        if (!initialized) {
+            init();
+        }
+        if (!initialized) return;
+
+        lastDistributionData = data || [];
+        renderDistribution('distribution-plot', lastDistributionData);
+        renderLorenz('lorenz-plot', lastDistributionData);
+    }
+
+    /**
+     * Prepare a single-SVG chart: clears the container and returns
+     * { container, svg, g, innerWidth, innerHeight, width, height }, or null
+     * after drawing the message when there is nothing to plot
+     */
+    function setupSingleChart(containerId, type, hasData, emptyText) {
+        const container = document.getElementById(containerId);
+        if (!container) return null;
+
+        const d3Container = d3.select('#' + containerId);
+        d3Container.selectAll('*').remove();
+        chartState[type].elements = null;
+
+        const { width, height } = container.getBoundingClientRect();
+        const margin = config.distribution.margin;
+        const innerWidth = width - margin.left - margin.right;
+        const innerHeight = height - margin.top - margin.bottom;
+
+        if (!hasData || innerWidth <= 0 || innerHeight <= 0) {
+            d3Container.append('svg')
+                .attr('width', Math.max(width, 0))
+                .attr('height', Math.max(height, 0))
+                .append('text')
+                .attr('x', width / 2)
+                .attr('y', height / 2)
+                .attr('text-anchor', 'middle')
+                .attr('dominant-baseline', 'middle')
+                .style('fill', '#999')
+                .style('font-size', '12px')
+                .text(width > 0 ? emptyText : 'Loading...');
+            return null;
+        }
+
+        const svg = d3Container.append('svg')
+            .attr('width', width)
+            .attr('height', height);
+        const g = svg.append('g')
+            .attr('transform', `translate(${margin.left},${margin.top})`);
+
+        chartState[type].elements = {
+            yAxisNode: null,
+            chartNode: svg.node(),
+            marginLeft: 0,
+            chartWidth: width,
+            height,
+            title: getChartTitle(container)
+        };
+
+        return { svg, g, innerWidth, innerHeight, width, height };
+    }
+
+    function formatAxisValue(d) {
+        if (d >= 1000000) return (d / 1000000).toFixed(1) + 'M';
+        if (d >= 1000) return (d / 1000).toFixed(0) + 'K';
+        return d;
+    }
+
+    /**
+     * Histogram or KDE of density on a log axis (density spans several
+     * orders of magnitude), in townships per bin
+     */
+    function renderDistribution(containerId, data) {
+        const values = data.filter(d => d.density > 0).map(d => Math.log10(d.density));
+        const chart = setupSingleChart(containerId, 'distribution', values.length > 0, I18n.t('chart.empty'));
+        if (!chart) return;
+
+        const { g, innerWidth, innerHeight } = chart;
+        const binWidth = 1 / config.distribution.binsPerDecade;
+        const lower = Math.floor(d3.min(values));
+        const upper = Math.max(Math.ceil(d3.max(values)), lower + 1);
+        const thresholds = d3.range(lower, upper + binWidth / 2, binWidth);
+
+        const xScale = d3.scaleLinear().domain([lower, upper]).range([0, innerWidth]);
+        const bins = d3.bin().domain([lower, upper]).thresholds(thresholds)(values);
+
+        let curve = null;
+        let maxCount = d3.max(bins, b => b.length);
+        if (options.distribution === 'kde' && values.length > 1) {
+            const xs = d3.range(config.distribution.kdePoints)
+                .map(i => lower + (upper - lower) * i / (config.distribution.kdePoints - 1));
+            // Scale to townships per bin so the axis matches the histogram
+            curve = Statistics.kernelDensity(values, xs).map(([x, y]) => [x, y * values.length * binWidth]);
+            maxCount = d3.max(curve, p => p[1]);
+        }
+
+        const yScale = d3.scaleLinear().domain([0, maxCount * 1.1 || 1]).range([innerHeight, 0]).nice();
+
+        g.append('g')
+            .attr('transform', `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale)
+                .tickValues(d3.range(lower, upper + 1))
+                .tickFormat(d => formatAxisValue(Math.pow(10, d))))
+            .selectAll('text')
+            .style('font-size', '9px');
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(4).tickFormat(d3.format(options.distribution === 'kde' ? '.1f' : 'd')))
+            .selectAll('text')
+            .style('font-size', '9px');
+
+        g.append('text')
+            .attr('x', innerWidth / 2)
+            .attr('y', innerHeight + 30)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '9px')
+            .style('fill', '#666')
+            .text(I18n.t('chart.densityAxisLog'));
+
+        if (curve) {
+            const area = d3.area()
+                .x(p => xScale(p[0]))
+                .y0(innerHeight)
+                .y1(p => yScale(p[1]))
+                .curve(d3.curveBasis);
+
+            g.append('path')
+                .datum(curve)
+                .attr('class', 'kde-area')
+                .attr('d', area)
+                .attr('fill', config.colors.density)
+                .attr('fill-opacity', 0.5)
+                .attr('stroke', config.colors.density)
+                .attr('stroke-width', 1.5);
+            return;
+        }
+
+        g.selectAll('.histogram-bar')
+            .data(bins)
+            .enter()
+            .append('rect')
+            .attr('class', 'histogram-bar')
+            .attr('x', b => xScale(b.x0) + 0.5)
+            .attr('width', b => Math.max(0, xScale(b.x1) - xScale(b.x0) - 1))
+            .attr('y', b => yScale(b.length))
+            .attr('height', b => innerHeight - yScale(b.length))
+            .attr('fill', config.colors.density)
+            .on('mouseover', function(event, b) {
+                d3.select(this).attr('opacity', 0.7);
+                const range = [b.x0, b.x1]
+                    .map(v => I18n.formatNumber(Math.round(Math.pow(10, v))))
+                    .join('–');
+                showTooltip(event, `${range} ${I18n.t('unit.density')}`, I18n.t('chart.townshipCount', { count: b.length }));
+            })
+            .on('mouseout', function() {
+                d3.select(this).attr('opacity', 1);
+                hideTooltip();
+            });
+    }
+
+    /**
+     * Lorenz curve of population against area (townships ordered from
+     * sparsest to densest) with the Gini coefficient
+     */
+    function renderLorenz(containerId, data) {
+        const points = Statistics.lorenzCurve(data, 'area', 'population');
+        const chart = setupSingleChart(containerId, 'lorenz', points.length > 2, I18n.t('chart.emptyLorenz'));
+        if (!chart) return;
 
-        const populationData = [...lastData]
-            .sort((a, b) => b.population - a.population);
+        const { g, innerWidth, innerHeight } = chart;
+        const xScale = d3.scaleLinear().domain([0, 1]).range([0, innerWidth]);
+        const yScale = d3.scaleLinear().domain([0, 1]).range([innerHeight, 0]);
+        const percent = d3.format('.0%');
 
-        renderChart('density-bar-plot', densityData, 'density');
-        renderChart('population-bar-plot', populationData, 'population');
+        g.append('g')
+            .attr('transform', `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).ticks(4).tickFormat(percent))
+            .selectAll('text')
+            .style('font-size', '9px');
+
+        g.append('g')
+            .call(d3.axisLeft(yScale).ticks(4).tickFormat(percent))
+            .selectAll('text')
+            .style('font-size', '9px');
+
+        g.append('text')
+            .attr('x', innerWidth / 2)
+            .attr('y', innerHeight + 30)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '9px')
+            .style('fill', '#666')
+            .text(I18n.t('chart.lorenz.xAxis'));
+
+        // Line of equality
+        g.append('line')
+            .attr('x1', xScale(0))
+            .attr('y1', yScale(0))
+            .attr('x2', xScale(1))
+            .attr('y2', yScale(1))
+            .attr('stroke', '#999')
+            .attr('stroke-dasharray', '4,3');
+
+        g.append('path')
+            .datum(points)
+            .attr('class', 'lorenz-curve')
+            .attr('d', d3.area().x(p => xScale(p[0])).y0(p => yScale(p[0])).y1(p => yScale(p[1])))
+            .attr('fill', config.distribution.lorenzColor)
+            .attr('fill-opacity', 0.15)
+            .attr('stroke', 'none');
+
+        g.append('path')
+            .datum(points)
+            .attr('d', d3.line().x(p => xScale(p[0])).y(p => yScale(p[1])))
+            .attr('fill', 'none')
+            .attr('stroke', config.distribution.lorenzColor)
+            .attr('stroke-width', 2);
+
+        g.append('text')
+            .attr('class', 'gini-label')
+            .attr('x', 6)
+            .attr('y', 10)
+            .style('font-size', '12px')
+            .style('font-weight', '600')
+            .style('fill', '#293336')
+            .text(`Gini = ${Statistics.gini(points).toFixed(3)}`);
+
+        g.append('text')
+            .attr('x', 6)
+            .attr('y', 24)
+            .style('font-size', '9px')
+            .style('fill', '#666')
+            .text(I18n.t('chart.lorenz.yAxis', { count: data.length }));
+    }
+
+    /**
+     * Order items for a chart by the current sort option; ties and items
+     * without the sort field fall back to descending value
+     */
+    function sortData(data, type) {
+        const byValue = (a, b) => b[type] - a[type];
+        const comparators = {
+            value: byValue,
+            name: (a, b) => I18n.compare(a.label || a.name, b.label || b.name),
+            county: (a, b) => I18n.compare(a.county || '', b.county || '') || byValue(a, b),
+            north: (a, b) => (b.latitude || 0) - (a.latitude || 0) || byValue(a, b)
+        };
+        return [...data].sort(comparators[options.sort] || byValue);
+    }
+
+    /**
+     * Y scale for the chosen scale type. The domain covers the bars and any
+     * reference lines; log scales start at the power of ten below the minimum.
+     */
+    function createYScale(values, innerHeight) {
+        const maxValue = d3.max(values) || 1;
+
+        if (options.scale === 'log') {
+            const minValue = d3.min(values.filter(v => v > 0)) || 1;
+            const lower = Math.pow(10, Math.floor(Math.log10(minValue * 0.99)));
+            return d3.scaleLog()
+                .domain([lower, maxValue * 1.5])
+                .range([innerHeight, 0])
+                .clamp(true);
+        }
+
+        const scale = options.scale === 'sqrt' ? d3.scaleSqrt() : d3.scaleLinear();
+        return scale
+            .domain([0, maxValue * 1.1])
+            .range([innerHeight, 0]);
+    }
+
+    // Tick values; log scales only label powers of ten
+    function getTicks(yScale) {
+        if (options.scale !== 'log') return yScale.ticks(5);
+
+        const [lower, upper] = yScale.domain();
+        const ticks = [];
+        for (let v = lower; v <= upper; v *= 10) {
+            ticks.push(v);
+        }
+        return ticks;
     }
 
     /**
      * Render a single bar chart - scrollable when more than maxVisibleBars
      */
-    function renderChart(containerId, data, type) {
+    function renderChart(containerId, data, type, emptyText = I18n.t('chart.empty')) {
         const container = document.getElementById(containerId);
         if (!container) {
             console.error('BarPlots: Container not found:', containerId);
@@ -91,6 +432,7 @@ const BarPlots = (function() {
 
         const d3Container = d3.select('#' + containerId);
         d3Container.selectAll('*').remove();
+        chartState[type].elements = null;
 
         const bounds = container.getBoundingClientRect();
         const containerWidth = bounds.width;
@@ -126,7 +468,7 @@ const BarPlots = (function() {
                 .attr('dominant-baseline', 'middle')
                 .style('fill', '#999')
                 .style('font-size', '12px')
-                .text('請選擇鄉鎮市區');
+                .text(emptyText);
             return;
         }
 
@@ -215,18 +557,17 @@ const BarPlots = (function() {
             .range([0, chartInnerWidth])
             .padding(config.barPadding);
 
-        const getValue = type === 'density' ? d => d.density : d => d.population;
-        const maxValue = d3.max(data, getValue) || 1;
-
-        const yScale = d3.scaleLinear()
-            .domain([0, maxValue * 1.1])
-            .range([innerHeight, 0]);
+        const valueKey = type === 'density' ? 'density' : options.metric.key;
+        const getValue = d => d[valueKey];
+        const references = options.showReferences ? (lastReferences[type] || []) : [];
+        const yScale = createYScale([...data.map(getValue), ...references.map(r => r.value)], innerHeight);
+        const ticks = getTicks(yScale);
 
         // Grid lines
         chartG.append('g')
             .attr('class', 'grid')
             .selectAll('line')
-            .data(yScale.ticks(5))
+            .data(ticks)
             .enter()
             .append('line')
             .attr('x1', 0)
@@ -236,6 +577,8 @@ const BarPlots = (function() {
             .attr('stroke', '#eee')
             .attr('stroke-dasharray', '2,2');
 
+        const labels = new Map(data.map(d => [d.name, d.label || d.name]));
+
         // Helper function to truncate labels
         function truncateLabel(text, maxLength) {
             if (text.length <= maxLength) return text;
@@ -245,7 +588,7 @@ const BarPlots = (function() {
         // X Axis
         const xAxis = chartG.append('g')
             .attr('transform', `translate(0,${innerHeight})`)
-            .call(d3.axisBottom(xScale).tickFormat(d => truncateLabel(d, labelMaxChars)));
+            .call(d3.axisBottom(xScale).tickFormat(d => truncateLabel(labels.get(d), labelMaxChars)));
 
         // Style x-axis labels
         xAxis.selectAll('text')
@@ -260,7 +603,7 @@ const BarPlots = (function() {
             .attr('transform', `translate(${margin.left - 1},${margin.top})`);
 
         yAxisG.call(d3.axisLeft(yScale)
-            .ticks(5)
+            .tickValues(ticks)
             .tickFormat(d => {
                 if (d >= 1000000) return (d / 1000000).toFixed(1) + 'M';
                 if (d >= 1000) return (d / 1000).toFixed(0) + 'K';
@@ -288,21 +631,35 @@ const BarPlots = (function() {
             // Start from bottom
             .attr('y', innerHeight)
             .attr('height', 0)
-            .attr('fill', barColor)
+            .attr('fill', d => d.color || barColor)
+            .attr('data-final-y', d => yScale(getValue(d)))
+            .attr('data-final-height', d => innerHeight - yScale(getValue(d)))
             .attr('rx', Math.min(2, xScale.bandwidth() / 4))
             .attr('ry', Math.min(2, xScale.bandwidth() / 4))
             .style('cursor', 'pointer')
+            .classed('highlighted', d => d.name === highlightedName)
             .on('mouseover', function(event, d) {
                 d3.select(this).attr('opacity', 0.7);
                 const value = getValue(d);
                 const formattedValue = type === 'density'
-                    ? value.toLocaleString('zh-TW', { maximumFractionDigits: 1 }) + ' 人/km²'
-                    : value.toLocaleString('zh-TW') + ' 人';
-                showTooltip(event, d.name, formattedValue);
+                    ? `${I18n.formatNumber(value, { maximumFractionDigits: 1 })} ${I18n.t('unit.density')}`
+                    : formatMetricValue(value);
+                showTooltip(event, labels.get(d.name), formattedValue);
+                dispatch.call('hover', null, d);
             })
             .on('mouseout', function() {
                 d3.select(this).attr('opacity', 1);
                 hideTooltip();
+                dispatch.call('hover', null, null);
+            })
+            .on('click', function(event, d) {
+                clearTimeout(clickTimer);
+                clickTimer = setTimeout(() => dispatch.call('click', null, d), config.clickDelay);
+            })
+            .on('dblclick', function(event, d) {
+                clearTimeout(clickTimer);
+                hideTooltip();
+                dispatch.call('remove', null, d);
             })
             // D3 transition: animate rising from bottom
             .transition()
@@ -312,9 +669,152 @@ const BarPlots = (function() {
             .attr('y', d => yScale(getValue(d)))
             .attr('height', d => innerHeight - yScale(getValue(d)));
 
+        // Reference lines (e.g. national average) drawn over the bars
+        const referenceG = chartG.append('g')
+            .attr('class', 'reference-lines')
+            .style('pointer-events', 'none');
+
+        references.forEach((reference, i) => {
+            const y = yScale(reference.value);
+            const color = config.referenceColors[i % config.referenceColors.length];
+
+            referenceG.append('line')
+                .attr('x1', 0)
+                .attr('x2', chartInnerWidth)
+                .attr('y1', y)
+                .attr('y2', y)
+                .attr('stroke', color)
+                .attr('stroke-width', 1.5)
+                .attr('stroke-dasharray', '6,3');
+
+            referenceG.append('text')
+                .attr('x', 4 + i * 110)
+                .attr('y', y - 4)
+                .attr('fill', color)
+                .style('font-size', '9px')
+                .text(`${reference.label} ${I18n.formatNumber(reference.value, { maximumFractionDigits: 1 })}`);
+        });
+
+        d3Container.classed('has-highlight', data.some(d => d.name === highlightedName));
+
+        // Keep references for image export
+        chartState[type].elements = {
+            yAxisNode: yAxisSvg.node(),
+            chartNode: chartSvg.node(),
+            marginLeft: margin.left,
+            chartWidth: chartSvgWidth,
+            height: effectiveHeight,
+            title: getChartTitle(container)
+        };
+
         console.log('BarPlots:', type, 'chart rendered with', data.length, 'bars', needsScroll ? '(scrollable)' : '(fitted)');
     }
 
+    // Value of the second chart's metric with its unit
+    function formatMetricValue(value) {
+        const { key, unit, decimals } = options.metric;
+        const formatted = I18n.formatNumber(value, { maximumFractionDigits: decimals });
+        const metricUnit = unit === null ? I18n.t(`unit.${key}`) : unit;
+        return metricUnit ? `${formatted} ${metricUnit}` : formatted;
+    }
+
+    function getChartTitle(container) {
+        const plotContainer = container.closest('.bar-plot-container');
+        const heading = plotContainer && plotContainer.querySelector('.bar-plot-header h4');
+        return heading ? heading.textContent.trim() : '';
+    }
+
+    /**
+     * Build a standalone SVG of a chart: fixed y-axis and the full scrollable
+     * area side by side (nothing cropped), with a title and inlined styles.
+     * Returns { svg, width, height } or null when the chart is empty.
+     */
+    function exportSVG(type) {
+        const elements = chartState[type] && chartState[type].elements;
+        if (!elements) return null;
+
+        // Export without the linked-hover highlight
+        const highlighted = highlightedName;
+        if (highlighted !== null) highlight(null);
+
+        const ns = 'http://www.w3.org/2000/svg';
+        const titleHeight = config.export.titleHeight;
+        const width = elements.marginLeft + elements.chartWidth;
+        const height = elements.height + titleHeight;
+
+        const svg = document.createElementNS(ns, 'svg');
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        const background = document.createElementNS(ns, 'rect');
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', 'white');
+        svg.appendChild(background);
+
+        const title = document.createElementNS(ns, 'text');
+        title.setAttribute('x', 8);
+        title.setAttribute('y', titleHeight - 10);
+        title.setAttribute('style', 'font-family: sans-serif; font-size: 14px; font-weight: 600; fill: #293336;');
+        title.textContent = elements.title;
+        svg.appendChild(title);
+
+        const chartG = document.createElementNS(ns, 'g');
+        chartG.setAttribute('transform', `translate(${elements.marginLeft},${titleHeight})`);
+        appendStyledClone(elements.chartNode, chartG);
+        svg.appendChild(chartG);
+
+        // Bars may still be rising; export their final size
+        chartG.querySelectorAll('.bar').forEach(bar => {
+            bar.setAttribute('y', bar.getAttribute('data-final-y'));
+            bar.setAttribute('height', bar.getAttribute('data-final-height'));
+            bar.setAttribute('opacity', 1);
+        });
+
+        if (elements.yAxisNode) {
+            const axisG = document.createElementNS(ns, 'g');
+            axisG.setAttribute('transform', `translate(0,${titleHeight})`);
+            appendStyledClone(elements.yAxisNode, axisG);
+            svg.appendChild(axisG);
+        }
+
+        if (highlighted !== null) highlight(highlighted);
+
+        return {
+            svg: new XMLSerializer().serializeToString(svg),
+            width,
+            height
+        };
+    }
+
+    // Clone an svg's children into target, inlining computed styles
+    function appendStyledClone(sourceSvg, target) {
+        [...sourceSvg.childNodes].forEach(child => {
+            const clone = child.cloneNode(true);
+            inlineStyles(child, clone);
+            target.appendChild(clone);
+        });
+    }
+
+    function inlineStyles(source, clone) {
+        if (source.nodeType !== 1) return;
+
+        const computed = window.getComputedStyle(source);
+        const style = config.export.styleProperties
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value && value !== 'none' && value !== 'normal' && value !== 'auto')
+            .map(([property, value]) => `${property}:${value}`)
+            .join(';');
+        if (style) {
+            clone.setAttribute('style', style);
+        }
+
+        for (let i = 0; i < source.children.length; i++) {
+            inlineStyles(source.children[i], clone.children[i]);
+        }
+    }
+
     /**
      * Show tooltip
      */
@@ -335,9 +835,12 @@ const BarPlots = (function() {
         }
         tooltip
             .style('opacity', 1)
-            .html(`<strong>${name}</strong><br/>${value}`)
+            .html(`<strong></strong><br/><span class="bar-plot-tooltip-value"></span><br/><span class="bar-plot-tooltip-hint">${I18n.t('chart.tooltipHint')}</span>`)
             .style('left', (event.pageX + 10) + 'px')
             .style('top', (event.pageY - 30) + 'px');
+        // User text: group names, and units typed in the upload dialog
+        tooltip.select('strong').text(name);
+        tooltip.select('.bar-plot-tooltip-value').text(value);
     }
 
     /**
@@ -347,6 +850,39 @@ const BarPlots = (function() {
         d3.select('.bar-plot-tooltip').style('opacity', 0);
     }
 
+    /**
+     * Register a handler for 'hover', 'click' or 'remove'; handlers receive
+     * the bar's data item (hover receives null when the pointer leaves)
+     */
+    function on(type, handler) {
+        dispatch.on(type, handler);
+        return this;
+    }
+
+    /**
+     * Highlight the bars of one item in both charts (null clears) and
+     * scroll them into view
+     */
+    function highlight(name) {
+        highlightedName = name;
+
+        ['density', 'population'].forEach(type => {
+            const container = d3.select(`#${type}-bar-plot`);
+            const bars = container.selectAll('.bar').classed('highlighted', d => d.name === name);
+            const bar = bars.filter(d => d.name === name).node();
+            container.classed('has-highlight', !!bar);
+
+            const scroll = container.select('.bar-plot-scroll').node();
+            if (!bar || !scroll) return;
+
+            const x = Number(bar.getAttribute('x'));
+            const width = Number(bar.getAttribute('width'));
+            if (x < scroll.scrollLeft || x + width > scroll.scrollLeft + scroll.clientWidth) {
+                scroll.scrollLeft = x + width / 2 - scroll.clientWidth / 2;
+            }
+        });
+    }
+
     /**
      * Check if initialized
      */
@@ -359,7 +895,10 @@ const BarPlots = (function() {
      */
     function refresh() {
         if (initialized && lastData.length > 0) {
-            update(lastData);
+            update(lastData, lastReferences);
+        }
+        if (initialized) {
+            updateDistribution(lastDistributionData);
         }
     }
 
@@ -367,6 +906,11 @@ const BarPlots = (function() {
     return {
         init,
         update,
+        updateDistribution,
+        exportSVG,
+        setOptions,
+        on,
+        highlight,
         isInitialized,
         refresh
     };
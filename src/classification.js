@@ -0,0 +1,232 @@
+/**
+ * Choropleth Classification Schemes for Taiwan Population Density Map
+ * Computes class breaks (quantile, equal interval, Jenks, standard deviation,
+ * user-defined) and the matching colour ramp
+ */
+
+const Classification = (function() {
+    // Configuration
+    const config = {
+        minClasses: 3,
+        maxClasses: 9,
+        // Ramp from white through the map's reddish-brown to a darker brown,
+        // so the highest classes stay distinguishable
+        rampStops: ['#ffffff', '#e8bfb1', '#aa4c2c', '#5c2414']
+    };
+
+    // Scheme keys in menu order; display names are I18n 'scheme.<key>'
+    const SCHEMES = ['manual', 'quantile', 'equal', 'jenks', 'stddev'];
+
+    /**
+     * Compute class breaks for a set of values.
+     * Breaks are the lower bound of each class, ascending; breaks[0] is the
+     * lowest class. Duplicate breaks are merged, so fewer classes than
+     * requested can come back for highly skewed data.
+     */
+    function computeBreaks(scheme, values, classCount, manualBreaks) {
+        const sorted = values
+            .filter(v => typeof v === 'number' && isFinite(v))
+            .sort((a, b) => a - b);
+
+        if (scheme === 'manual') {
+            return uniqueAscending([0, ...(manualBreaks || [])]);
+        }
+
+        if (sorted.length === 0) {
+            return [0];
+        }
+
+        const k = clampClassCount(classCount);
+        let breaks;
+
+        switch (scheme) {
+            case 'quantile':
+                breaks = quantileBreaks(sorted, k);
+                break;
+            case 'equal':
+                breaks = equalIntervalBreaks(sorted, k);
+                break;
+            case 'jenks':
+                breaks = jenksBreaks(sorted, k);
+                break;
+            case 'stddev':
+                breaks = stdDevBreaks(sorted, k);
+                break;
+            default:
+                console.warn('Classification: Unknown scheme', scheme);
+                breaks = equalIntervalBreaks(sorted, k);
+        }
+
+        return uniqueAscending(breaks);
+    }
+
+    function quantileBreaks(sorted, k) {
+        const breaks = [sorted[0]];
+        for (let i = 1; i < k; i++) {
+            breaks.push(d3.quantileSorted(sorted, i / k));
+        }
+        return breaks;
+    }
+
+    function equalIntervalBreaks(sorted, k) {
+        const min = sorted[0];
+        const step = (sorted[sorted.length - 1] - min) / k;
+        const breaks = [];
+        for (let i = 0; i < k; i++) {
+            breaks.push(min + i * step);
+        }
+        return breaks;
+    }
+
+    /**
+     * Jenks natural breaks (Fisher-Jenks dynamic programming).
+     * Minimises the within-class sum of squared deviations.
+     */
+    function jenksBreaks(sorted, k) {
+        const n = sorted.length;
+        if (n <= k) {
+            return [...sorted];
+        }
+
+        // lowerClassLimits[l][j]: 1-based index where class j starts when the
+        // first l values are split into j classes
+        const lowerClassLimits = [];
+        const varianceCombinations = [];
+        for (let l = 0; l <= n; l++) {
+            lowerClassLimits.push(new Int32Array(k + 1));
+            varianceCombinations.push(new Float64Array(k + 1).fill(l === 0 ? 0 : Infinity));
+        }
+        for (let j = 1; j <= k; j++) {
+            lowerClassLimits[1][j] = 1;
+            varianceCombinations[1][j] = 0;
+        }
+
+        for (let l = 2; l <= n; l++) {
+            let sum = 0;
+            let sumSquares = 0;
+            let variance = 0;
+
+            for (let m = 1; m <= l; m++) {
+                const lowerIndex = l - m + 1;
+                const value = sorted[lowerIndex - 1];
+                sum += value;
+                sumSquares += value * value;
+                variance = sumSquares - (sum * sum) / m;
+
+                const previous = lowerIndex - 1;
+                if (previous !== 0) {
+                    for (let j = 2; j <= k; j++) {
+                        const candidate = variance + varianceCombinations[previous][j - 1];
+                        if (varianceCombinations[l][j] >= candidate) {
+                            lowerClassLimits[l][j] = lowerIndex;
+                            varianceCombinations[l][j] = candidate;
+                        }
+                    }
+                }
+            }
+
+            lowerClassLimits[l][1] = 1;
+            varianceCombinations[l][1] = variance;
+        }
+
+        // Walk back through the table to recover each class's lower bound
+        const breaks = new Array(k);
+        breaks[0] = sorted[0];
+        let end = n;
+        for (let j = k; j >= 2; j--) {
+            const start = lowerClassLimits[end][j];
+            breaks[j - 1] = sorted[start - 1];
+            end = start - 1;
+        }
+        return breaks;
+    }
+
+    /**
+     * Standard-deviation classes of width one SD, centred on the mean.
+     * Bounds below the minimum are dropped.
+     */
+    function stdDevBreaks(sorted, k) {
+        const mean = d3.mean(sorted);
+        const sd = d3.deviation(sorted) || 0;
+        const min = sorted[0];
+        const breaks = [min];
+
+        for (let i = 1; i < k; i++) {
+            const bound = mean + (i - k / 2) * sd;
+            if (bound > min) {
+                breaks.push(bound);
+            }
+        }
+        return breaks;
+    }
+
+    /**
+     * Colour ramp with one colour per class
+     */
+    function getColors(classCount) {
+        if (classCount <= 1) {
+            return [config.rampStops[2]];
+        }
+        const interpolate = d3.piecewise(d3.interpolateLab, config.rampStops);
+        return d3.quantize(interpolate, classCount).map(c => d3.color(c).formatHex());
+    }
+
+    /**
+     * Index of the class a value falls into
+     */
+    function getClassIndex(value, breaks) {
+        for (let i = breaks.length - 1; i >= 0; i--) {
+            if (value >= breaks[i]) {
+                return i;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Legend labels for a set of breaks, e.g. "< 10", "10 - 500", "30,000+"
+     */
+    function getLabels(breaks, format) {
+        if (breaks.length === 1) {
+            return [`${format(breaks[0])}+`];
+        }
+        return breaks.map((b, i) => {
+            if (i === 0) return `< ${format(breaks[1])}`;
+            if (i === breaks.length - 1) return `${format(b)}+`;
+            return `${format(b)} - ${format(breaks[i + 1])}`;
+        });
+    }
+
+    /**
+     * Parse a user-entered list of breaks ("10, 500, 1000")
+     */
+    function parseBreaks(text) {
+        return uniqueAscending(
+            String(text)
+                .split(/[,，\s]+/)
+                .filter(s => s !== '')
+                .map(Number)
+                .filter(v => isFinite(v))
+        );
+    }
+
+    function uniqueAscending(values) {
+        return [...new Set(values)].sort((a, b) => a - b);
+    }
+
+    function clampClassCount(classCount) {
+        return Math.max(config.minClasses, Math.min(config.maxClasses, Math.round(classCount) || config.minClasses));
+    }
+
+    // Public API
+    return {
+        SCHEMES,
+        minClasses: config.minClasses,
+        maxClasses: config.maxClasses,
+        computeBreaks,
+        getColors,
+        getClassIndex,
+        getLabels,
+        parseBreaks
+    };
+})();
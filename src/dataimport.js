@@ -0,0 +1,125 @@
+/**
+ * Data Import for Taiwan Population Density Map
+ * Parses user-supplied CSV or JSON tables keyed by TOWNCODE or FULLNAME and
+ * picks out the numeric columns that can be mapped
+ */
+
+const DataImport = (function() {
+    // Configuration
+    const config = {
+        keyColumns: ['TOWNCODE', 'FULLNAME'],   // Preferred key columns, in order
+        jsonKeyColumn: 'key',                   // Column holding the keys of a keyed JSON object
+        minNumericShare: 0.8                    // Share of non-empty cells that must parse as numbers
+    };
+
+    /**
+     * Parse file text into { columns, rows } (rows are objects of strings
+     * or JSON values). JSON may be an array of row objects or an object
+     * keyed by township: { "臺北市中正區": { ... }, ... }
+     */
+    function parse(text, fileName) {
+        const content = text.replace(/^\ufeff/, '');
+        const isJSON = /\.json$/i.test(fileName || '') || /^\s*[[{]/.test(content);
+        return isJSON ? parseJSON(content) : parseCSV(content);
+    }
+
+    function parseCSV(content) {
+        const rows = d3.csvParse(content);
+        return { columns: rows.columns.filter(column => column !== ''), rows: [...rows] };
+    }
+
+    function parseJSON(content) {
+        const data = JSON.parse(content);
+        let rows;
+
+        if (Array.isArray(data)) {
+            rows = data.filter(row => row && typeof row === 'object');
+        } else if (data && typeof data === 'object') {
+            rows = Object.entries(data)
+                .filter(([, row]) => row && typeof row === 'object')
+                .map(([key, row]) => ({ [config.jsonKeyColumn]: key, ...row }));
+        } else {
+            throw new Error('JSON must be an array of rows or an object keyed by township');
+        }
+
+        const columns = [];
+        rows.forEach(row => Object.keys(row).forEach(column => {
+            if (!columns.includes(column)) columns.push(column);
+        }));
+        return { columns, rows };
+    }
+
+    /**
+     * Number from a cell ("12,345", " 3.5 ", 42); null when empty or not numeric
+     */
+    function parseNumber(value) {
+        if (typeof value === 'number') return isFinite(value) ? value : null;
+        if (typeof value !== 'string') return null;
+
+        const text = value.replace(/[,\s]/g, '');
+        if (text === '') return null;
+        const number = Number(text);
+        return isFinite(number) ? number : null;
+    }
+
+    function isEmpty(value) {
+        return value === null || value === undefined || String(value).trim() === '';
+    }
+
+    /**
+     * Columns whose non-empty cells are (nearly all) numbers
+     */
+    function numericColumns(rows, columns) {
+        return columns.filter(column => {
+            const cells = rows.map(row => row[column]).filter(value => !isEmpty(value));
+            if (cells.length === 0) return false;
+            const numbers = cells.filter(value => parseNumber(value) !== null).length;
+            return numbers / cells.length >= config.minNumericShare;
+        });
+    }
+
+    /**
+     * Best guess at the key column: TOWNCODE or FULLNAME (any case), then
+     * the keyed-JSON column, then the first column
+     */
+    function guessKeyColumn(columns) {
+        for (const name of [...config.keyColumns, config.jsonKeyColumn]) {
+            const match = columns.find(column => column.trim().toUpperCase() === name.toUpperCase());
+            if (match) return match;
+        }
+        return columns[0] || null;
+    }
+
+    /**
+     * Records for DataJoin.join: key -> { column: number }. Rows without a
+     * key are skipped; a repeated key keeps its first row.
+     */
+    function toRecords(rows, keyColumn, columns) {
+        const records = {};
+        rows.forEach(row => {
+            if (isEmpty(row[keyColumn])) return;
+
+            let key = String(row[keyColumn]).trim();
+            // TOWNCODEs that lost their leading zero in a spreadsheet
+            if (/^\d{7}$/.test(key)) key = '0' + key;
+            if (Object.prototype.hasOwnProperty.call(records, key)) return;
+
+            const record = {};
+            columns.forEach(column => {
+                const value = parseNumber(row[column]);
+                if (value !== null) record[column] = value;
+            });
+            records[key] = record;
+        });
+        return records;
+    }
+
+    // Public API
+    return {
+        parse,
+        parseNumber,
+        numericColumns,
+        guessKeyColumn,
+        toRecords
+    };
+})();
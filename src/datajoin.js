@@ -0,0 +1,138 @@
+/**
+ * Data Join for Taiwan Population Density Map
+ * Joins population records to GeoJSON features by name (台/臺 and whitespace
+ * normalised) with a TOWNCODE fallback, and reports what did not line up
+ */
+
+const DataJoin = (function() {
+    // Configuration
+    const config = {
+        // Recorded density may differ from population / area by rounding;
+        // flag differences above both of these
+        densityTolerance: {
+            absolute: 1,
+            relative: 0.01
+        }
+    };
+
+    const TOWNCODE_PATTERN = /^\d{8}$/;
+
+    /**
+     * Normalise a township name for matching: full-width forms folded,
+     * 台 -> 臺, all whitespace removed
+     */
+    function normalizeName(name) {
+        return String(name || '')
+            .normalize('NFKC')
+            .replace(/台/g, '臺')
+            .replace(/\s+/g, '');
+    }
+
+    /**
+     * Join records (key -> { population, area, density }) to features.
+     * Keys are township names or TOWNCODEs; a record's own TOWNCODE field
+     * is also used. Returns { data, report } where data is keyed by the
+     * feature's FULLNAME.
+     */
+    function join(features, records) {
+        const rows = records || {};
+        const byName = new Map();
+        const byCode = new Map();
+
+        Object.entries(rows).forEach(([key, record]) => {
+            if (TOWNCODE_PATTERN.test(key)) {
+                byCode.set(key, key);
+            } else {
+                byName.set(normalizeName(key), key);
+            }
+            if (record && record.TOWNCODE) {
+                byCode.set(String(record.TOWNCODE), key);
+            }
+        });
+
+        const data = {};
+        const usedKeys = new Set();
+        const report = {
+            featureCount: features.length,
+            recordCount: Object.keys(rows).length,
+            matchedBy: { exact: 0, normalized: 0, code: 0 },
+            unmatchedFeatures: [],
+            orphanRows: [],
+            densityMismatches: []
+        };
+
+        features.forEach(feature => {
+            const { FULLNAME, TOWNCODE } = feature.properties;
+            let key = null;
+            let method = null;
+
+            if (Object.prototype.hasOwnProperty.call(rows, FULLNAME)) {
+                key = FULLNAME;
+                method = 'exact';
+            } else if (byName.has(normalizeName(FULLNAME))) {
+                key = byName.get(normalizeName(FULLNAME));
+                method = 'normalized';
+            } else if (byCode.has(String(TOWNCODE))) {
+                key = byCode.get(String(TOWNCODE));
+                method = 'code';
+            }
+
+            // A row already joined to another feature does not count as a match
+            if (key === null || usedKeys.has(key)) {
+                report.unmatchedFeatures.push({ FULLNAME, TOWNCODE });
+                return;
+            }
+
+            usedKeys.add(key);
+            report.matchedBy[method]++;
+            data[FULLNAME] = rows[key];
+
+            const mismatch = checkDensity(rows[key]);
+            if (mismatch) {
+                report.densityMismatches.push({ FULLNAME, TOWNCODE, ...mismatch });
+            }
+        });
+
+        Object.keys(rows).forEach(key => {
+            if (!usedKeys.has(key)) {
+                report.orphanRows.push({ key });
+            }
+        });
+
+        return { data, report };
+    }
+
+    /**
+     * Compare recorded density with population / area
+     */
+    function checkDensity(record) {
+        if (!record || !(record.area > 0) || typeof record.population !== 'number') return null;
+
+        const computed = record.population / record.area;
+        const difference = Math.abs(record.density - computed);
+        const { absolute, relative } = config.densityTolerance;
+
+        if (typeof record.density !== 'number' || (difference > absolute && difference > computed * relative)) {
+            return {
+                density: record.density,
+                computed: Math.round(computed * 10) / 10,
+                difference: Math.round(difference * 10) / 10
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Number of problems in a report
+     */
+    function countIssues(report) {
+        return report.unmatchedFeatures.length + report.orphanRows.length + report.densityMismatches.length;
+    }
+
+    // Public API
+    return {
+        normalizeName,
+        join,
+        countIssues
+    };
+})();
@@ -0,0 +1,277 @@
+/**
+ * Data Exporters for Taiwan Population Density Map
+ * Serialises selected townships to tables (CSV, XLSX) and geometry formats
+ * (GeoJSON, TopoJSON, KML), renders images (SVG, PNG) and triggers browser
+ * downloads
+ */
+
+const Exporters = (function() {
+    // Configuration
+    const config = {
+        topojsonQuantization: 1e6,
+        kmlStyle: {
+            lineColor: 'ff000000',   // KML colours are aabbggrr
+            polyColor: '7f2c4caa'
+        },
+        screenDPI: 96
+    };
+
+    /**
+     * Download text or a Blob as a file
+     */
+    function download(content, filename, mimeType) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * RFC 4180 CSV: CRLF line breaks; fields containing commas, quotes or
+     * line breaks are quoted, with quotes doubled
+     */
+    function toCSV(headers, rows) {
+        return [headers, ...rows]
+            .map(row => row.map(csvField).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    function csvField(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * XLSX workbook Blob from sheets: [{ name, rows: [[...], ...] }]
+     * The first row of each sheet is its header.
+     */
+    function toXLSX(sheets) {
+        if (typeof XLSX === 'undefined') {
+            throw new Error('Exporters: SheetJS (XLSX) is not loaded');
+        }
+
+        const workbook = XLSX.utils.book_new();
+        sheets.forEach(sheet => {
+            const worksheet = XLSX.utils.aoa_to_sheet(sheet.rows);
+            worksheet['!cols'] = columnWidths(sheet.rows);
+            XLSX.utils.book_append_sheet(workbook, worksheet, sheet.name);
+        });
+
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    // Column widths from the longest cell; CJK characters count double
+    function columnWidths(rows) {
+        const widths = [];
+        rows.forEach(row => row.forEach((cell, i) => {
+            const text = cell === null || cell === undefined ? '' : String(cell);
+            const width = [...text].reduce((sum, ch) => sum + (ch.charCodeAt(0) > 0x2e80 ? 2 : 1), 0);
+            widths[i] = Math.max(widths[i] || 8, Math.min(width + 2, 60));
+        }));
+        return widths.map(wch => ({ wch }));
+    }
+
+    /**
+     * Rasterise an SVG string to a PNG Blob at the given DPI
+     */
+    function svgToPNG(svgString, width, height, dpi) {
+        return new Promise((resolve, reject) => {
+            const scale = dpi / config.screenDPI;
+            const image = new Image();
+            image.onload = () => {
+                const canvas = createCanvas(width, height, scale);
+                const ctx = canvas.getContext('2d');
+                ctx.drawImage(image, 0, 0, width, height);
+                canvasToPNG(canvas, dpi).then(resolve, reject);
+            };
+            image.onerror = () => reject(new Error('Exporters: Could not render SVG'));
+            image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgString);
+        });
+    }
+
+    /**
+     * Canvas of CSS size width x height with its context scaled for the DPI
+     */
+    function createCanvas(width, height, scale) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+        canvas.getContext('2d').scale(scale, scale);
+        return canvas;
+    }
+
+    /**
+     * PNG Blob from a canvas, tagged with its DPI (pHYs chunk) so slide and
+     * print software place it at the intended size
+     */
+    function canvasToPNG(canvas, dpi) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Error('Exporters: Could not encode PNG'));
+                    return;
+                }
+                blob.arrayBuffer()
+                    .then(buffer => resolve(new Blob([setPNGResolution(new Uint8Array(buffer), dpi)], { type: 'image/png' })))
+                    .catch(reject);
+            }, 'image/png');
+        });
+    }
+
+    // Insert a pHYs chunk right after IHDR (8-byte signature + 25-byte IHDR)
+    function setPNGResolution(png, dpi) {
+        const insertAt = 33;
+        const pixelsPerMetre = Math.round(dpi / 0.0254);
+        const chunk = new Uint8Array(21);
+        const view = new DataView(chunk.buffer);
+
+        view.setUint32(0, 9);
+        chunk.set([0x70, 0x48, 0x59, 0x73], 4);  // "pHYs"
+        view.setUint32(8, pixelsPerMetre);
+        view.setUint32(12, pixelsPerMetre);
+        chunk[16] = 1;                           // Unit: metre
+        view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+        const result = new Uint8Array(png.length + chunk.length);
+        result.set(png.subarray(0, insertAt), 0);
+        result.set(chunk, insertAt);
+        result.set(png.subarray(insertAt), insertAt + chunk.length);
+        return result;
+    }
+
+    let crcTable = null;
+
+    function crc32(bytes) {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    function featureCollection(features) {
+        return { type: 'FeatureCollection', features };
+    }
+
+    /**
+     * Dissolve features into one outline with shared borders removed.
+     * properties is used for the resulting single feature.
+     */
+    function dissolve(features, properties) {
+        if (typeof topojson === 'undefined' || !topojson.topology || !topojson.merge) {
+            throw new Error('Exporters: topojson-server/topojson-client are not loaded');
+        }
+
+        const topology = topojson.topology({ selection: featureCollection(features) }, config.topojsonQuantization);
+        const geometry = topojson.merge(topology, topology.objects.selection.geometries);
+        return { type: 'Feature', properties, geometry };
+    }
+
+    /**
+     * GeoJSON FeatureCollection string
+     */
+    function toGeoJSON(features) {
+        return JSON.stringify(featureCollection(features));
+    }
+
+    /**
+     * TopoJSON Topology string with the features in objectName
+     */
+    function toTopoJSON(features, objectName) {
+        if (typeof topojson === 'undefined' || !topojson.topology) {
+            throw new Error('Exporters: topojson-server is not loaded');
+        }
+        const topology = topojson.topology({ [objectName]: featureCollection(features) }, config.topojsonQuantization);
+        return JSON.stringify(topology);
+    }
+
+    /**
+     * KML document string; each feature becomes a Placemark with its
+     * properties as ExtendedData
+     */
+    function toKML(features, documentName, nameProperty) {
+        const placemarks = features.map(feature => {
+            const props = feature.properties;
+            const data = Object.entries(props)
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([key, value]) => `<Data name="${escapeXML(key)}"><value>${escapeXML(value)}</value></Data>`)
+                .join('');
+
+            return `<Placemark><name>${escapeXML(props[nameProperty] || '')}</name>` +
+                '<styleUrl>#township</styleUrl>' +
+                `<ExtendedData>${data}</ExtendedData>` +
+                geometryToKML(feature.geometry) +
+                '</Placemark>';
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+            `<name>${escapeXML(documentName)}</name>` +
+            '<Style id="township">' +
+            `<LineStyle><color>${config.kmlStyle.lineColor}</color><width>1</width></LineStyle>` +
+            `<PolyStyle><color>${config.kmlStyle.polyColor}</color></PolyStyle>` +
+            '</Style>' +
+            placemarks.join('\n') +
+            '</Document></kml>\n';
+    }
+
+    function geometryToKML(geometry) {
+        const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+        const kmlPolygons = polygons.map(rings => {
+            const [outer, ...holes] = rings;
+            return '<Polygon>' +
+                `<outerBoundaryIs><LinearRing><coordinates>${ringToKML(outer)}</coordinates></LinearRing></outerBoundaryIs>` +
+                holes.map(hole =>
+                    `<innerBoundaryIs><LinearRing><coordinates>${ringToKML(hole)}</coordinates></LinearRing></innerBoundaryIs>`
+                ).join('') +
+                '</Polygon>';
+        });
+
+        return kmlPolygons.length === 1
+            ? kmlPolygons[0]
+            : `<MultiGeometry>${kmlPolygons.join('')}</MultiGeometry>`;
+    }
+
+    function ringToKML(ring) {
+        return ring.map(c => `${c[0]},${c[1]}`).join(' ');
+    }
+
+    function escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    // Public API
+    return {
+        download,
+        svgToPNG,
+        createCanvas,
+        canvasToPNG,
+        toCSV,
+        toXLSX,
+        dissolve,
+        toGeoJSON,
+        toTopoJSON,
+        toKML
+    };
+})();
@@ -0,0 +1,304 @@
+/**
+ * Geometry Metrics for Taiwan Population Density Map
+ * Per-feature measures: area-weighted centroid, bounding box, perimeter and
+ * geodesic area, computed once at load, and the pole of inaccessibility
+ * (label point), which costs more and is left to the caller to compute when
+ * first needed. Coordinates are GeoJSON [lng, lat]; lengths in km, areas
+ * in km².
+ */
+
+const Geometry = (function() {
+    // Configuration
+    const config = {
+        earthRadius: 6371.0088,   // Mean earth radius (km)
+        precision: 0.01           // Pole search stops within this share of the polygon size
+    };
+
+    const RADIANS = Math.PI / 180;
+
+    // Polygons of a Polygon/MultiPolygon, each an array of rings
+    function polygonsOf(geometry) {
+        return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+    }
+
+    /**
+     * [minLng, minLat, maxLng, maxLat]
+     */
+    function bbox(geometry) {
+        const box = [Infinity, Infinity, -Infinity, -Infinity];
+        polygonsOf(geometry).forEach(rings => {
+            const [minX, minY, maxX, maxY] = ringBBox(rings[0]);
+            box[0] = Math.min(box[0], minX);
+            box[1] = Math.min(box[1], minY);
+            box[2] = Math.max(box[2], maxX);
+            box[3] = Math.max(box[3], maxY);
+        });
+        return box;
+    }
+
+    /**
+     * Area-weighted centroid [lng, lat] over every part, holes subtracted.
+     * Unlike the mean of the vertices it is not pulled toward detailed
+     * coastlines, and each island counts by its size.
+     */
+    function centroid(geometry) {
+        let sumX = 0;
+        let sumY = 0;
+        let sumArea = 0;
+
+        polygonsOf(geometry).forEach(rings => rings.forEach((ring, i) => {
+            // Planar shoelace terms; holes count against their polygon
+            let area = 0;
+            let cx = 0;
+            let cy = 0;
+            for (let k = 0; k < ring.length - 1; k++) {
+                const [x1, y1] = ring[k];
+                const [x2, y2] = ring[k + 1];
+                const cross = x1 * y2 - x2 * y1;
+                area += cross;
+                cx += (x1 + x2) * cross;
+                cy += (y1 + y2) * cross;
+            }
+            if (area === 0) return;
+
+            const weight = (i === 0 ? 1 : -1) * Math.abs(area / 2);
+            sumX += weight * cx / (3 * area);
+            sumY += weight * cy / (3 * area);
+            sumArea += weight;
+        }));
+
+        if (sumArea === 0) {
+            const box = bbox(geometry);
+            return [(box[0] + box[2]) / 2, (box[1] + box[3]) / 2];
+        }
+        return [sumX / sumArea, sumY / sumArea];
+    }
+
+    // Great-circle distance between two [lng, lat] points (km)
+    function haversine(a, b) {
+        const dLat = (b[1] - a[1]) * RADIANS;
+        const dLng = (b[0] - a[0]) * RADIANS;
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(a[1] * RADIANS) * Math.cos(b[1] * RADIANS) * Math.sin(dLng / 2) ** 2;
+        return 2 * config.earthRadius * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /**
+     * Length of every ring, coastlines of islands and holes included (km)
+     */
+    function perimeter(geometry) {
+        let length = 0;
+        polygonsOf(geometry).forEach(rings => rings.forEach(ring => {
+            for (let k = 0; k < ring.length - 1; k++) {
+                length += haversine(ring[k], ring[k + 1]);
+            }
+        }));
+        return length;
+    }
+
+    // Area enclosed by a ring on the sphere (km²), any winding
+    function ringGeodesicArea(ring) {
+        let sum = 0;
+        for (let k = 0; k < ring.length - 1; k++) {
+            const [lng1, lat1] = ring[k];
+            const [lng2, lat2] = ring[k + 1];
+            sum += (lng2 - lng1) * RADIANS * (2 + Math.sin(lat1 * RADIANS) + Math.sin(lat2 * RADIANS));
+        }
+        return Math.abs(sum * config.earthRadius * config.earthRadius / 2);
+    }
+
+    /**
+     * Area on the sphere (km²), holes subtracted
+     */
+    function geodesicArea(geometry) {
+        return polygonsOf(geometry).reduce((total, rings) => {
+            return total + rings.reduce((area, ring, i) => area + (i === 0 ? 1 : -1) * ringGeodesicArea(ring), 0);
+        }, 0);
+    }
+
+    // Signed distance from (x, y) to the polygon's boundary (negative outside)
+    function pointToPolygonDistance(x, y, rings) {
+        let inside = false;
+        let minDistSq = Infinity;
+
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+                if ((a[1] > y) !== (b[1] > y) && x < (b[0] - a[0]) * (y - a[1]) / (b[1] - a[1]) + a[0]) {
+                    inside = !inside;
+                }
+                minDistSq = Math.min(minDistSq, squaredSegmentDistance(x, y, a, b));
+            }
+        });
+
+        const distance = Math.sqrt(minDistSq);
+        return inside ? distance : -distance;
+    }
+
+    function squaredSegmentDistance(x, y, a, b) {
+        let px = a[0];
+        let py = a[1];
+        let dx = b[0] - px;
+        let dy = b[1] - py;
+
+        if (dx !== 0 || dy !== 0) {
+            const t = ((x - px) * dx + (y - py) * dy) / (dx * dx + dy * dy);
+            if (t > 1) {
+                px = b[0];
+                py = b[1];
+            } else if (t > 0) {
+                px += dx * t;
+                py += dy * t;
+            }
+        }
+        dx = x - px;
+        dy = y - py;
+        return dx * dx + dy * dy;
+    }
+
+    // Square search cell centred on (x, y) with half-size h; max is the
+    // best distance any point inside it could reach
+    function createCell(x, y, h, rings) {
+        const d = pointToPolygonDistance(x, y, rings);
+        return { x, y, h, d, max: d + h * Math.SQRT2 };
+    }
+
+    // Binary max-heap of cells keyed on max, so the search stays
+    // O(n log n) in the number of cells
+    function heapPush(heap, cell) {
+        let i = heap.length;
+        heap.push(cell);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent].max >= cell.max) break;
+            heap[i] = heap[parent];
+            i = parent;
+        }
+        heap[i] = cell;
+    }
+
+    function heapPop(heap) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length === 0) return top;
+
+        let i = 0;
+        const half = heap.length >> 1;
+        while (i < half) {
+            let child = 2 * i + 1;
+            if (child + 1 < heap.length && heap[child + 1].max > heap[child].max) child++;
+            if (heap[child].max <= last.max) break;
+            heap[i] = heap[child];
+            i = child;
+        }
+        heap[i] = last;
+        return top;
+    }
+
+    /**
+     * Pole of inaccessibility of one polygon (array of rings in planar
+     * coordinates), by quadtree search of the bounding box (the polylabel
+     * algorithm). Returns { x, y, distance }.
+     */
+    function poleOfInaccessibility(rings) {
+        const [minX, minY, maxX, maxY] = ringBBox(rings[0]);
+        const width = maxX - minX;
+        const height = maxY - minY;
+        const cellSize = Math.min(width, height);
+        if (cellSize === 0) {
+            return { x: minX, y: minY, distance: 0 };
+        }
+
+        const precision = Math.max(width, height) * config.precision;
+        const queue = [];
+        const h = cellSize / 2;
+        for (let x = minX; x < maxX; x += cellSize) {
+            for (let y = minY; y < maxY; y += cellSize) {
+                heapPush(queue, createCell(x + h, y + h, h, rings));
+            }
+        }
+
+        let best = createCell(minX + width / 2, minY + height / 2, 0, rings);
+        while (queue.length > 0) {
+            // Most promising cell first
+            const cell = heapPop(queue);
+
+            if (cell.d > best.d) best = cell;
+            if (cell.max - best.d <= precision) continue;
+
+            const half = cell.h / 2;
+            heapPush(queue, createCell(cell.x - half, cell.y - half, half, rings));
+            heapPush(queue, createCell(cell.x + half, cell.y - half, half, rings));
+            heapPush(queue, createCell(cell.x - half, cell.y + half, half, rings));
+            heapPush(queue, createCell(cell.x + half, cell.y + half, half, rings));
+        }
+
+        return { x: best.x, y: best.y, distance: best.d };
+    }
+
+    function ringBBox(ring) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        ring.forEach(([x, y]) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        });
+        return [minX, minY, maxX, maxY];
+    }
+
+    // Smaller side of a bounding box; larger parts are searched first
+    function bboxSpan(box) {
+        return Math.min(box[2] - box[0], box[3] - box[1]);
+    }
+
+    /**
+     * Visual centre of a Polygon/MultiPolygon, where a label sits best: the
+     * pole of whichever part has room for the largest circle. Longitudes
+     * are scaled by cos(latitude) so distances are not stretched east-west.
+     * Returns { lng, lat, radius } with radius in degrees of latitude.
+     */
+    function pole(geometry) {
+        const parts = polygonsOf(geometry)
+            .map(rings => ({ rings, box: ringBBox(rings[0]) }))
+            .sort((a, b) => bboxSpan(b.box) - bboxSpan(a.box));
+        let best = null;
+
+        parts.forEach(({ rings, box: [minX, minY, maxX, maxY] }) => {
+            const scale = Math.cos((minY + maxY) / 2 * RADIANS);
+            // Parts too small to hold a bigger circle (islets) are skipped
+            if (best && Math.min((maxX - minX) * scale, maxY - minY) / 2 <= best.radius) return;
+
+            const found = poleOfInaccessibility(rings.map(ring => ring.map(c => [c[0] * scale, c[1]])));
+            if (!best || found.distance > best.radius) {
+                best = { lng: found.x / scale, lat: found.y, radius: found.distance };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * The cheap metrics of a Polygon/MultiPolygon (see pole() for the label
+     * point): { centroid: [lng, lat], bbox, perimeter, area }
+     */
+    function measure(geometry) {
+        return {
+            centroid: centroid(geometry),
+            bbox: bbox(geometry),
+            perimeter: perimeter(geometry),
+            area: geodesicArea(geometry)
+        };
+    }
+
+    // Public API
+    return {
+        bbox,
+        centroid,
+        pole,
+        poleOfInaccessibility,
+        perimeter,
+        geodesicArea,
+        measure
+    };
+})();
@@ -0,0 +1,77 @@
+/**
+ * Geometry Levels of Detail for Taiwan Population Density Map
+ * Simplifies a TopoJSON topology (Visvalingam, on shared arcs so borders
+ * between neighbouring townships stay shared) into one level per zoom band
+ */
+
+const GeometryLOD = (function() {
+    // Configuration
+    const config = {
+        // Each level is drawn up to and including this zoom; above the last
+        // one the full-detail geometry is used
+        levelZooms: [7, 9, 11],
+        // Drop vertices whose triangle is smaller than this many square
+        // pixels at the level's zoom
+        minPixelArea: 1,
+        tileSize: 256
+    };
+
+    function requireTopojson() {
+        if (typeof topojson === 'undefined' || !topojson.feature || !topojson.presimplify) {
+            throw new Error('GeometryLOD: topojson-client/topojson-simplify are not loaded');
+        }
+    }
+
+    /**
+     * Triangle-area threshold (square degrees) for a zoom level
+     */
+    function weightForZoom(zoom) {
+        const degreesPerPixel = 360 / (config.tileSize * Math.pow(2, zoom));
+        return degreesPerPixel * degreesPerPixel * config.minPixelArea;
+    }
+
+    /**
+     * Build levels of detail for topology.objects[objectName].
+     * Returns { features, levelForZoom(zoom), getGeometries(level) } where
+     * features carry the full-detail geometry and getGeometries returns one
+     * geometry per feature, in the same order.
+     */
+    function create(topology, objectName) {
+        requireTopojson();
+
+        const object = topology.objects[objectName];
+        const features = topojson.feature(topology, object).features;
+        const weighted = topojson.presimplify(topology);
+        const fullLevel = config.levelZooms.length;
+        const cache = new Map();
+
+        function levelForZoom(zoom) {
+            const level = config.levelZooms.findIndex(maxZoom => zoom <= maxZoom);
+            return level < 0 ? fullLevel : level;
+        }
+
+        function getGeometries(level) {
+            if (level >= fullLevel) {
+                return features.map(feature => feature.geometry);
+            }
+            if (!cache.has(level)) {
+                const simplified = topojson.simplify(weighted, weightForZoom(config.levelZooms[level]));
+                const collection = topojson.feature(simplified, simplified.objects[objectName]);
+                cache.set(level, collection.features.map(feature => feature.geometry));
+            }
+            return cache.get(level);
+        }
+
+        return {
+            features,
+            levelForZoom,
+            getGeometries
+        };
+    }
+
+    // Public API
+    return {
+        create,
+        weightForZoom
+    };
+})();
@@ -0,0 +1,600 @@
+/**
+ * Internationalisation for Taiwan Population Density Map
+ * Message catalogue (Traditional Chinese and English), the current language,
+ * locale-aware number formatting and English county/township names
+ */
+
+const I18n = (function() {
+    // Configuration
+    const config = {
+        defaultLanguage: 'zh-TW',
+        storageKey: 'taiwan-map-language'
+    };
+
+    // Language code -> display name and number/sort locale
+    const LANGUAGES = {
+        'zh-TW': { label: '中文', locale: 'zh-TW' },
+        en: { label: 'English', locale: 'en-US' }
+    };
+
+    // The boundary data has TOWNENG but no English county name
+    const COUNTY_NAMES_EN = {
+        '臺北市': 'Taipei City',
+        '新北市': 'New Taipei City',
+        '桃園市': 'Taoyuan City',
+        '臺中市': 'Taichung City',
+        '臺南市': 'Tainan City',
+        '高雄市': 'Kaohsiung City',
+        '基隆市': 'Keelung City',
+        '新竹市': 'Hsinchu City',
+        '嘉義市': 'Chiayi City',
+        '新竹縣': 'Hsinchu County',
+        '苗栗縣': 'Miaoli County',
+        '彰化縣': 'Changhua County',
+        '南投縣': 'Nantou County',
+        '雲林縣': 'Yunlin County',
+        '嘉義縣': 'Chiayi County',
+        '屏東縣': 'Pingtung County',
+        '宜蘭縣': 'Yilan County',
+        '花蓮縣': 'Hualien County',
+        '臺東縣': 'Taitung County',
+        '澎湖縣': 'Penghu County',
+        '金門縣': 'Kinmen County',
+        '連江縣': 'Lienchiang County'
+    };
+
+    // Messages by language; {name} placeholders are filled by t()
+    const MESSAGES = {
+        'zh-TW': {
+            'app.title': '台灣鄉鎮市區人口密度地圖',
+            'app.documentTitle': '台灣鄉鎮市區人口密度地圖 - Redesign',
+            'language.title': '語言',
+            'common.none': '無',
+            'common.separator': '、',
+            'common.clauseSeparator': '，',
+
+            'unit.density': '人/km²',
+            'unit.population': '人',
+            'unit.area': 'km²',
+            'variable.density': '人口密度',
+            'variable.population': '人口數',
+            'variable.area': '面積',
+            'field.population': '人口',
+            'field.area': '面積',
+            'field.density': '密度',
+            'field.neighbors': '相鄰',
+
+            'report.button': '資料檢核',
+            'report.button.title': '檢視資料對應報告',
+            'report.button.ok': '✓ 資料檢核',
+            'report.button.issues': '⚠ 資料檢核: {count} 項問題',
+            'report.title': '資料檢核報告',
+            'report.downloadCSV': '下載 CSV',
+            'report.downloadJSON': '下載 JSON',
+            'report.close': '關閉',
+            'report.summary': '地圖鄉鎮 {features} 個，資料列 {records} 筆；名稱完全相符 {exact}，名稱正規化相符 {normalized}，TOWNCODE 相符 {code}',
+            'report.unmatched': '無對應資料的鄉鎮 ({count})',
+            'report.orphans': '未使用的資料列 ({count})',
+            'report.mismatches': '密度與人口 ÷ 面積不符 ({count})',
+            'report.column.township': '鄉鎮市區',
+            'report.column.key': '資料鍵',
+            'report.column.density': '資料密度',
+            'report.column.computed': '計算密度',
+            'report.column.difference': '差異',
+
+            'upload.button': '上傳資料',
+            'upload.button.title': '上傳以 TOWNCODE 或 FULLNAME 對應鄉鎮的 CSV / JSON (也可拖放檔案)',
+            'upload.title': '上傳資料',
+            'upload.key': '對應欄位',
+            'upload.key.title': '以 TOWNCODE 或 FULLNAME 對應鄉鎮的欄位',
+            'upload.column.column': '欄位',
+            'upload.column.label': '名稱',
+            'upload.column.unit': '單位',
+            'upload.column.sample': '範例值',
+            'upload.apply': '套用',
+            'upload.close': '關閉',
+            'upload.noNumeric': '沒有可匯入的數值欄位',
+            'upload.noColumns': '請至少選擇一個欄位',
+            'upload.unsupported': '僅支援 CSV 或 JSON 檔案',
+            'upload.parseFailed': '無法讀取 {name}',
+            'upload.applied': '已匯入 {count} 個欄位，對應 {matched} 個鄉鎮',
+            'upload.noMatches': '{key} 欄位沒有對應到任何鄉鎮市區，請見下方的對應報告',
+
+            'basemap.title': '底圖',
+            'basemap.carto': 'CARTO 線上底圖',
+            'basemap.local': '本機圖磚',
+            'basemap.mbtiles': 'MBTiles (本機)',
+            'basemap.outline': '台灣輪廓',
+            'basemap.none': '無底圖',
+            'basemap.unavailable': '無法載入{name}，改用台灣輪廓',
+
+            'chart.density.title': '人口密度 (人/km²)',
+            'chart.population.title': '人口數',
+            'chart.metric.title': '{label} ({unit})',
+            'chart.metric.select': '長條圖變數',
+            'chart.distribution.title': '人口密度分布',
+            'chart.lorenz.title': '羅倫茲曲線 (人口對面積)',
+            'chart.saveSVG': '儲存為 SVG',
+            'chart.savePNG': '儲存為 PNG',
+            'chart.scale.title': '縱軸刻度 (兩圖共用)',
+            'chart.scale.linear': '線性',
+            'chart.scale.sqrt': '平方根',
+            'chart.scale.log': '對數',
+            'chart.sort.title': '排序 (兩圖共用)',
+            'chart.sort.value': '依數值',
+            'chart.sort.name': '依名稱',
+            'chart.sort.county': '依縣市',
+            'chart.sort.north': '由北至南',
+            'chart.references': '參考線',
+            'chart.references.title': '顯示全國平均與選擇區域的人口密度',
+            'chart.distribution.type': '圖表類型',
+            'chart.distribution.histogram': '直方圖',
+            'chart.distribution.kde': '核密度',
+            'chart.distribution.scope': '範圍 (兩圖共用)',
+            'chart.distribution.selection': '選擇區域',
+            'chart.distribution.all': '全國',
+            'chart.empty': '請選擇鄉鎮市區',
+            'chart.noMetricData': '所選鄉鎮市區沒有此變數的資料',
+            'chart.emptyLorenz': '請選擇至少兩個鄉鎮市區',
+            'chart.densityAxisLog': '人口密度 (人/km², 對數刻度)',
+            'chart.townshipCount': '{count} 個鄉鎮市區',
+            'chart.lorenz.xAxis': '面積累積比例 (由疏至密)',
+            'chart.lorenz.yAxis': '人口累積比例 · {count} 個鄉鎮市區',
+            'chart.tooltipHint': '點擊縮放 · 雙擊移除',
+            'reference.national': '全國平均',
+            'reference.selection': '選擇區域',
+
+            'stats.title': '選擇資訊',
+            'stats.selected': '已選擇',
+            'stats.population': '總人口',
+            'stats.area': '總面積',
+            'stats.density': '總體密度',
+            'stats.density.title': '總人口 ÷ 總面積',
+            'stats.weighted': '人口加權密度',
+            'stats.weighted.title': '居民平均所在鄉鎮的人口密度',
+            'stats.median': '鄉鎮密度中位數',
+            'stats.mean': '鄉鎮密度平均',
+            'stats.max': '最高密度',
+            'stats.min': '最低密度',
+            'stats.populationShare': '占全國人口',
+            'stats.areaShare': '占全國面積',
+            'stats.countyRank': '縣市密度排名',
+            'stats.countyRank.title': '總體密度在各縣市中的排名 (由高至低)',
+            'stats.countyRank.value': '第 {rank} 名 / {count} 縣市',
+
+            'groups.title': '群組比較',
+            'groups.namePlaceholder': '群組名稱',
+            'groups.save': '儲存選擇為群組',
+            'groups.compare': '長條圖比較群組',
+            'groups.empty': '尚無群組',
+            'groups.defaultName': '群組 {n}',
+            'groups.saved': '已儲存群組「{name}」',
+            'groups.load': '載入',
+            'groups.load.title': '載入為目前選擇',
+            'groups.delete.title': '刪除群組',
+            'groups.column.group': '群組',
+            'groups.column.townships': '鄉鎮',
+            'groups.column.population': '人口',
+            'groups.column.area': '面積 km²',
+            'groups.column.density': '密度',
+
+            'selected.title': '已選擇鄉鎮市區',
+            'selected.empty': '點擊地圖選擇鄉鎮市區',
+            'selected.remove': '移除 {name}',
+            'selected.details': '人口 {population} | 密度 {density}/km²',
+
+            'controls.clear': '清除選擇',
+            'controls.selectAll': '全選',
+            'controls.resetMap': '重新定位',
+            'controls.export': '匯出資料',
+            'controls.selectNeighbors': '選取相鄰',
+            'controls.selectNeighbors.title': '以相鄰的鄉鎮市區取代目前選擇 (右鍵點擊地圖可選取單一鄉鎮的相鄰區域)',
+            'controls.expandRing': '擴大一圈',
+            'controls.expandRing.title': '加選與目前選擇相鄰的鄉鎮市區',
+            'controls.undo': '↶ 復原',
+            'controls.redo': '↷ 重做',
+            'controls.county.title': '按縣市快速選擇',
+            'history.undo': '復原',
+            'history.redo': '重做',
+            'history.added': '選取 {count}',
+            'history.removed': '取消 {count}',
+            'history.step': '{parts} 個鄉鎮市區',
+
+            'export.format.title': '匯出格式',
+            'export.dissolve': '合併為單一範圍',
+            'export.dpi.title': '圖片解析度 (DPI)',
+            'export.saveMap': '儲存地圖圖片',
+            'export.dissolvedName': '選擇範圍 ({count} 鄉鎮市區)',
+            'export.kmlName': '台灣鄉鎮市區選擇範圍',
+            'export.column.township': '鄉鎮市區',
+            'export.column.county': '縣市',
+            'export.column.district': '鄉鎮',
+            'export.column.towncode': 'TOWNCODE',
+            'export.column.population': '人口',
+            'export.column.area': '面積_km2',
+            'export.column.density': '人口密度',
+            'export.column.townships': '鄉鎮數',
+            'export.column.centroidLng': '中心點經度',
+            'export.column.centroidLat': '中心點緯度',
+            'export.column.perimeter': '周長_km',
+            'export.column.geodesicArea': '幾何面積_km2',
+            'export.total': '合計',
+
+            'legend.title': '{label}圖例 ({unit})',
+            'legend.titleNoUnit': '{label}圖例',
+            'legend.noData': '無資料',
+            'legend.variable.title': '地圖變數',
+            'legend.scheme.title': '分級方法',
+            'legend.classes.title': '分級數',
+            'legend.classes.option': '{n} 級',
+            'legend.breaks.title': '自訂分級 (以逗號分隔)',
+            'legend.invalidBreaks': '請輸入有效的分級數值',
+            'scheme.manual': '自訂分級',
+            'scheme.quantile': '分位數',
+            'scheme.equal': '等距',
+            'scheme.jenks': '自然斷點',
+            'scheme.stddev': '標準差',
+
+            'search.placeholder': '搜尋鄉鎮市區 (中文、拼音或代碼)',
+            'search.empty': '找不到符合的鄉鎮市區',
+            'tools.lasso': '套索選取 (Shift 加選, Alt 減選)',
+            'tools.box': '框選 (Shift 加選, Alt 減選)',
+            'tools.labels': '顯示地名',
+            'year.play': '播放',
+            'year.pause': '暫停',
+
+            'popup.select': '選擇此鄉鎮市區',
+            'popup.deselect': '取消選擇',
+            'popup.selectWithNeighbors': '加選此鄉鎮及相鄰',
+            'popup.selectRegion': '選取相連區域',
+            'popup.selectCountyRegion': '選取縣市內相連區域',
+
+            'toast.selectFirst': '請先選擇鄉鎮市區',
+            'toast.exportFailed': '匯出失敗',
+            'toast.noNeighbors': '沒有相鄰的鄉鎮市區',
+            'toast.neighborsSelected': '已選擇 {count} 個相鄰鄉鎮市區',
+            'toast.ringExpanded': '已擴大 {count} 個鄉鎮市區',
+            'toast.added': '已加選 {count} 個鄉鎮市區',
+
+            'map.label': '台灣鄉鎮市區人口地圖',
+            'map.keyboardHelp': '按 Tab 進入鄉鎮市區，方向鍵移至相鄰的鄉鎮市區，Enter 或空白鍵選取或取消選取，Esc 返回地圖。',
+            'announce.noneInDirection': '此方向沒有其他鄉鎮市區',
+            'announce.population': '人口 {value}',
+            'announce.area': '面積 {value} 平方公里',
+            'announce.density': '密度 {value} 人每平方公里',
+            'announce.selected': '已選取',
+            'announce.noSelection': '未選取鄉鎮市區',
+            'announce.totals': '已選取 {count} 個鄉鎮市區，總人口 {population}，密度 {density} 人每平方公里'
+        },
+
+        en: {
+            'app.title': 'Taiwan Township Population Density Map',
+            'app.documentTitle': 'Taiwan Township Population Density Map - Redesign',
+            'language.title': 'Language',
+            'common.none': 'None',
+            'common.separator': ', ',
+            'common.clauseSeparator': '; ',
+
+            'unit.density': 'people/km²',
+            'unit.population': 'people',
+            'unit.area': 'km²',
+            'variable.density': 'Population density',
+            'variable.population': 'Population',
+            'variable.area': 'Area',
+            'field.population': 'Population',
+            'field.area': 'Area',
+            'field.density': 'Density',
+            'field.neighbors': 'Neighbours',
+
+            'report.button': 'Data check',
+            'report.button.title': 'View the data join report',
+            'report.button.ok': '✓ Data check',
+            'report.button.issues': '⚠ Data check: {count} issues',
+            'report.title': 'Data Join Report',
+            'report.downloadCSV': 'Download CSV',
+            'report.downloadJSON': 'Download JSON',
+            'report.close': 'Close',
+            'report.summary': '{features} townships on the map, {records} data rows; matched by exact name {exact}, by normalised name {normalized}, by TOWNCODE {code}',
+            'report.unmatched': 'Townships without data ({count})',
+            'report.orphans': 'Unused data rows ({count})',
+            'report.mismatches': 'Density differs from population ÷ area ({count})',
+            'report.column.township': 'Township',
+            'report.column.key': 'Data key',
+            'report.column.density': 'Recorded density',
+            'report.column.computed': 'Computed density',
+            'report.column.difference': 'Difference',
+
+            'upload.button': 'Upload data',
+            'upload.button.title': 'Upload a CSV / JSON keyed by TOWNCODE or FULLNAME (or drop a file)',
+            'upload.title': 'Upload Data',
+            'upload.key': 'Key column',
+            'upload.key.title': 'Column matching townships by TOWNCODE or FULLNAME',
+            'upload.column.column': 'Column',
+            'upload.column.label': 'Label',
+            'upload.column.unit': 'Unit',
+            'upload.column.sample': 'Sample',
+            'upload.apply': 'Apply',
+            'upload.close': 'Close',
+            'upload.noNumeric': 'No numeric columns to import',
+            'upload.noColumns': 'Choose at least one column',
+            'upload.unsupported': 'Only CSV or JSON files are supported',
+            'upload.parseFailed': 'Could not read {name}',
+            'upload.applied': 'Imported {count} columns for {matched} townships',
+            'upload.noMatches': 'No {key} value matched a township; see the join report below',
+
+            'basemap.title': 'Base map',
+            'basemap.carto': 'CARTO (online)',
+            'basemap.local': 'Local tiles',
+            'basemap.mbtiles': 'MBTiles (local)',
+            'basemap.outline': 'Taiwan outline',
+            'basemap.none': 'No base map',
+            'basemap.unavailable': 'Could not load {name}; showing the Taiwan outline',
+
+            'chart.density.title': 'Population density (people/km²)',
+            'chart.population.title': 'Population',
+            'chart.metric.title': '{label} ({unit})',
+            'chart.metric.select': 'Bar chart variable',
+            'chart.distribution.title': 'Density distribution',
+            'chart.lorenz.title': 'Lorenz curve (population vs. area)',
+            'chart.saveSVG': 'Save as SVG',
+            'chart.savePNG': 'Save as PNG',
+            'chart.scale.title': 'Vertical scale (both charts)',
+            'chart.scale.linear': 'Linear',
+            'chart.scale.sqrt': 'Square root',
+            'chart.scale.log': 'Log',
+            'chart.sort.title': 'Sort order (both charts)',
+            'chart.sort.value': 'By value',
+            'chart.sort.name': 'By name',
+            'chart.sort.county': 'By county',
+            'chart.sort.north': 'North to south',
+            'chart.references': 'Reference lines',
+            'chart.references.title': 'Show the national and selection densities',
+            'chart.distribution.type': 'Chart type',
+            'chart.distribution.histogram': 'Histogram',
+            'chart.distribution.kde': 'Kernel density',
+            'chart.distribution.scope': 'Scope (both charts)',
+            'chart.distribution.selection': 'Selection',
+            'chart.distribution.all': 'All of Taiwan',
+            'chart.empty': 'Select townships',
+            'chart.noMetricData': 'No data for this variable in the selection',
+            'chart.emptyLorenz': 'Select at least two townships',
+            'chart.densityAxisLog': 'Population density (people/km², log scale)',
+            'chart.townshipCount': '{count} townships',
+            'chart.lorenz.xAxis': 'Cumulative share of area (sparsest first)',
+            'chart.lorenz.yAxis': 'Cumulative share of population · {count} townships',
+            'chart.tooltipHint': 'Click to zoom · double-click to remove',
+            'reference.national': 'National average',
+            'reference.selection': 'Selection',
+
+            'stats.title': 'Selection',
+            'stats.selected': 'Selected',
+            'stats.population': 'Total population',
+            'stats.area': 'Total area',
+            'stats.density': 'Overall density',
+            'stats.density.title': 'Total population ÷ total area',
+            'stats.weighted': 'Population-weighted density',
+            'stats.weighted.title': 'Density of the township the average resident lives in',
+            'stats.median': 'Median township density',
+            'stats.mean': 'Mean township density',
+            'stats.max': 'Densest',
+            'stats.min': 'Sparsest',
+            'stats.populationShare': 'Share of national population',
+            'stats.areaShare': 'Share of national area',
+            'stats.countyRank': 'County density rank',
+            'stats.countyRank.title': 'Rank of the overall density among the counties (highest first)',
+            'stats.countyRank.value': '{rank} of {count} counties',
+
+            'groups.title': 'Compare groups',
+            'groups.namePlaceholder': 'Group name',
+            'groups.save': 'Save selection as group',
+            'groups.compare': 'Compare groups in the bar charts',
+            'groups.empty': 'No groups yet',
+            'groups.defaultName': 'Group {n}',
+            'groups.saved': 'Saved group "{name}"',
+            'groups.load': 'Load',
+            'groups.load.title': 'Load as the current selection',
+            'groups.delete.title': 'Delete group',
+            'groups.column.group': 'Group',
+            'groups.column.townships': 'Townships',
+            'groups.column.population': 'Population',
+            'groups.column.area': 'Area km²',
+            'groups.column.density': 'Density',
+
+            'selected.title': 'Selected townships',
+            'selected.empty': 'Click the map to select townships',
+            'selected.remove': 'Remove {name}',
+            'selected.details': 'Pop. {population} | Density {density}/km²',
+
+            'controls.clear': 'Clear',
+            'controls.selectAll': 'Select all',
+            'controls.resetMap': 'Reset view',
+            'controls.export': 'Export data',
+            'controls.selectNeighbors': 'Neighbours',
+            'controls.selectNeighbors.title': 'Replace the selection with the townships bordering it (right-click the map for one township\'s neighbours)',
+            'controls.expandRing': 'Expand ring',
+            'controls.expandRing.title': 'Add the townships bordering the selection',
+            'controls.undo': '↶ Undo',
+            'controls.redo': '↷ Redo',
+            'controls.county.title': 'Select by county',
+            'history.undo': 'Undo',
+            'history.redo': 'Redo',
+            'history.added': '{count} selected',
+            'history.removed': '{count} deselected',
+            'history.step': '{parts}',
+
+            'export.format.title': 'Export format',
+            'export.dissolve': 'Merge into one outline',
+            'export.dpi.title': 'Image resolution (DPI)',
+            'export.saveMap': 'Save map image',
+            'export.dissolvedName': 'Selection ({count} townships)',
+            'export.kmlName': 'Selected Taiwan townships',
+            'export.column.township': 'Township',
+            'export.column.county': 'County',
+            'export.column.district': 'District',
+            'export.column.towncode': 'TOWNCODE',
+            'export.column.population': 'Population',
+            'export.column.area': 'Area_km2',
+            'export.column.density': 'Density',
+            'export.column.townships': 'Townships',
+            'export.column.centroidLng': 'Centroid_lng',
+            'export.column.centroidLat': 'Centroid_lat',
+            'export.column.perimeter': 'Perimeter_km',
+            'export.column.geodesicArea': 'Geodesic_area_km2',
+            'export.total': 'Total',
+
+            'legend.title': '{label} ({unit})',
+            'legend.titleNoUnit': '{label}',
+            'legend.noData': 'No data',
+            'legend.variable.title': 'Map variable',
+            'legend.scheme.title': 'Classification',
+            'legend.classes.title': 'Number of classes',
+            'legend.classes.option': '{n} classes',
+            'legend.breaks.title': 'Custom breaks (comma-separated)',
+            'legend.invalidBreaks': 'Enter valid break values',
+            'scheme.manual': 'Custom breaks',
+            'scheme.quantile': 'Quantile',
+            'scheme.equal': 'Equal interval',
+            'scheme.jenks': 'Natural breaks',
+            'scheme.stddev': 'Standard deviation',
+
+            'search.placeholder': 'Search townships (Chinese, English or code)',
+            'search.empty': 'No matching townships',
+            'tools.lasso': 'Lasso select (Shift adds, Alt subtracts)',
+            'tools.box': 'Box select (Shift adds, Alt subtracts)',
+            'tools.labels': 'Show place names',
+            'year.play': 'Play',
+            'year.pause': 'Pause',
+
+            'popup.select': 'Select this township',
+            'popup.deselect': 'Deselect',
+            'popup.selectWithNeighbors': 'Add with neighbours',
+            'popup.selectRegion': 'Select connected region',
+            'popup.selectCountyRegion': 'Select connected region in county',
+
+            'toast.selectFirst': 'Select townships first',
+            'toast.exportFailed': 'Export failed',
+            'toast.noNeighbors': 'No neighbouring townships',
+            'toast.neighborsSelected': 'Selected {count} neighbouring townships',
+            'toast.ringExpanded': 'Added {count} townships',
+            'toast.added': 'Added {count} townships',
+
+            'map.label': 'Taiwan township population map',
+            'map.keyboardHelp': 'Press Tab to enter the townships, arrow keys to move to a neighbouring township, Enter or Space to select or deselect, Esc to return to the map.',
+            'announce.noneInDirection': 'No township in this direction',
+            'announce.population': 'population {value}',
+            'announce.area': 'area {value} square kilometres',
+            'announce.density': 'density {value} people per square kilometre',
+            'announce.selected': 'selected',
+            'announce.noSelection': 'No townships selected',
+            'announce.totals': '{count} townships selected, population {population}, density {density} people per square kilometre'
+        }
+    };
+
+    let language = readStoredLanguage();
+
+    function readStoredLanguage() {
+        try {
+            const stored = localStorage.getItem(config.storageKey);
+            if (LANGUAGES[stored]) return stored;
+        } catch (e) {
+            // Storage unavailable (private mode, file://)
+        }
+        return config.defaultLanguage;
+    }
+
+    function getLanguage() {
+        return language;
+    }
+
+    /**
+     * Switch language and remember it; returns false for unknown codes
+     */
+    function setLanguage(code) {
+        if (!LANGUAGES[code]) return false;
+
+        language = code;
+        try {
+            localStorage.setItem(config.storageKey, code);
+        } catch (e) {
+            // Storage unavailable; the language still applies to this page
+        }
+        return true;
+    }
+
+    function getLocale() {
+        return LANGUAGES[language].locale;
+    }
+
+    /**
+     * Message for key in the current language (falling back to Chinese,
+     * then the key itself) with {name} placeholders filled from params
+     */
+    function t(key, params = {}) {
+        const messages = MESSAGES[language];
+        const message = key in messages ? messages[key] : (MESSAGES[config.defaultLanguage][key] || key);
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    function formatNumber(value, options) {
+        return value.toLocaleString(getLocale(), options);
+    }
+
+    function compare(a, b) {
+        return a.localeCompare(b, getLocale());
+    }
+
+    /**
+     * County name in the current language, or in code ('en', 'zh-TW')
+     */
+    function countyName(name, code = language) {
+        return code === 'en' ? (COUNTY_NAMES_EN[name] || name) : name;
+    }
+
+    /**
+     * Display name of a township: FULLNAME, or "TOWNENG, County" in English
+     */
+    function townshipName(props) {
+        if (language === 'en' && props.TOWNENG) {
+            return `${props.TOWNENG}, ${countyName(props.COUNTYNAME)}`;
+        }
+        return props.FULLNAME;
+    }
+
+    /**
+     * Township name without its county: TOWNNAME or TOWNENG
+     */
+    function shortTownshipName(props) {
+        return language === 'en' && props.TOWNENG ? props.TOWNENG : props.TOWNNAME;
+    }
+
+    /**
+     * Translate static markup: data-i18n sets the text, data-i18n-title,
+     * data-i18n-placeholder and data-i18n-aria-label set those attributes
+     */
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(el => {
+            el.textContent = t(el.getAttribute('data-i18n'));
+        });
+        ['title', 'placeholder', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+                el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+        document.documentElement.lang = language;
+    }
+
+    // Public API
+    return {
+        LANGUAGES,
+        getLanguage,
+        setLanguage,
+        getLocale,
+        t,
+        formatNumber,
+        compare,
+        countyName,
+        townshipName,
+        shortTownshipName,
+        translatePage
+    };
+})();
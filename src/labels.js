@@ -0,0 +1,66 @@
+/**
+ * Map Labels for Taiwan Population Density Map
+ * Measures label text and picks which labels to show so that none overlap.
+ * Labels are anchored at each polygon's pole of inaccessibility (see
+ * Geometry.pole).
+ */
+
+const Labels = (function() {
+    // Configuration
+    const config = {
+        padding: 3,         // Minimum gap between labels (px)
+        cjkWidth: 1,        // Estimated glyph widths (em) when text cannot be measured
+        latinWidth: 0.6
+    };
+
+    let measureContext = null;
+
+    /**
+     * Width of text in px for a CSS font ("600 12px sans-serif"); estimated
+     * from the character count where canvas text metrics are unavailable
+     */
+    function measureText(text, font, fontSize) {
+        if (measureContext === null) {
+            const canvas = document.createElement('canvas');
+            measureContext = (canvas.getContext && canvas.getContext('2d')) || false;
+        }
+        if (measureContext) {
+            measureContext.font = font;
+            return measureContext.measureText(text).width;
+        }
+        return [...text].reduce((width, ch) => {
+            return width + fontSize * (ch.charCodeAt(0) > 0x2e80 ? config.cjkWidth : config.latinWidth);
+        }, 0);
+    }
+
+    /**
+     * Greedy collision avoidance: candidates ({ x, y, width, height }
+     * centred on x, y in px) are taken in order and kept when their box
+     * clears every label kept before. Order by priority before calling.
+     */
+    function place(candidates) {
+        const placed = [];
+        const pad = config.padding;
+
+        candidates.forEach(candidate => {
+            const box = {
+                left: candidate.x - candidate.width / 2 - pad,
+                right: candidate.x + candidate.width / 2 + pad,
+                top: candidate.y - candidate.height / 2 - pad,
+                bottom: candidate.y + candidate.height / 2 + pad
+            };
+            const collides = placed.some(other => box.left < other.box.right && box.right > other.box.left &&
+                box.top < other.box.bottom && box.bottom > other.box.top);
+            if (!collides) {
+                placed.push({ ...candidate, box });
+            }
+        });
+        return placed;
+    }
+
+    // Public API
+    return {
+        measureText,
+        place
+    };
+})();
@@ -0,0 +1,188 @@
+/**
+ * Township Search for Taiwan Population Density Map
+ * Fuzzy matching on FULLNAME, TOWNNAME, TOWNENG, TOWNCODE and county names,
+ * tolerant of 台/臺 variants, partial input and older romanisations
+ * (Panchiao, Jhongli). Direct matches on a name rank above romanisation and
+ * typo matches.
+ */
+
+const TownshipSearch = (function() {
+    // Configuration
+    const config = {
+        maxResults: 8,
+        minScore: 20,
+        countyScore: 78,    // Prefix of the county name: below a township prefix, above substrings
+        fuzzyWeight: 0.6    // Scales romanisation-variant scores below direct matches
+    };
+
+    // Suffixes in TOWNENG that carry no information for matching
+    const ENGLISH_SUFFIX = /\s+(township|district|city)$/i;
+    const ENGLISH_SUFFIX_WORDS = ['township', 'district', 'city'];
+
+    // Fold romanisation variants (Hanyu, Tongyong, Wade-Giles) onto one key:
+    // Banqiao / Panchiao -> panjiao, Zhongli / Jhongli / Chungli -> jonli
+    const PHONETIC_RULES = {
+        tz: 'j', ts: 'j', zh: 'j', jh: 'j', ch: 'j', j: 'j', q: 'j', z: 'j', c: 'j',
+        sh: 's', hs: 's', x: 's', s: 's',
+        ung: 'on', ng: 'n',
+        g: 'k', k: 'k',
+        d: 't', t: 't',
+        b: 'p', p: 'p',
+        v: 'u',
+        iau: 'iao'
+    };
+    const PHONETIC_PATTERN = /tz|ts|zh|jh|ch|sh|hs|ung|ng|iau|[jqzcxsgkdtbpv]/g;
+
+    let entries = [];
+
+    /**
+     * Normalise Chinese or Latin text: 台 -> 臺, no whitespace or punctuation,
+     * lower case, diacritics removed (Lüdao -> ludao)
+     */
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/台/g, '臺')
+            .toLowerCase()
+            .replace(/[\s'’\-_.,()]/g, '');
+    }
+
+    /**
+     * Drop a trailing, possibly partial, suffix word ("xinzhuang dist")
+     */
+    function stripEnglishSuffix(text) {
+        const words = String(text || '').trim().toLowerCase().split(/\s+/);
+        if (words.length > 1) {
+            const last = words[words.length - 1];
+            if (last.length >= 2 && ENGLISH_SUFFIX_WORDS.some(w => w.startsWith(last))) {
+                words.pop();
+            }
+        }
+        return words.join(' ');
+    }
+
+    function phoneticKey(text) {
+        return normalize(text)
+            .replace(/[^a-z]/g, '')
+            .replace(PHONETIC_PATTERN, m => PHONETIC_RULES[m]);
+    }
+
+    /**
+     * Build the search index from GeoJSON features. countyAliases(COUNTYNAME)
+     * may return further names a county is searched by (e.g. in English).
+     */
+    function buildIndex(features, countyAliases = () => []) {
+        entries = features.map(feature => {
+            const props = feature.properties;
+            const english = String(props.TOWNENG || '').replace(ENGLISH_SUFFIX, '');
+            return {
+                feature,
+                chinese: [normalize(props.FULLNAME), normalize(props.TOWNNAME)],
+                county: [props.COUNTYNAME, ...countyAliases(props.COUNTYNAME)].map(normalize),
+                english: normalize(english),
+                phonetic: phoneticKey(english),
+                code: String(props.TOWNCODE || '')
+            };
+        });
+    }
+
+    /**
+     * Score how well a query matches a text (0 = no match)
+     */
+    function scoreText(query, text) {
+        if (!query || !text) return 0;
+        if (text === query) return 100;
+        if (text.startsWith(query)) return 90 - Math.min(10, text.length - query.length);
+        if (text.includes(query)) return 75 - Math.min(10, text.indexOf(query));
+
+        // Characters in order with gaps ("新莊" in "新北市新莊區", "bqiao" in "banqiao")
+        let position = -1;
+        let gaps = 0;
+        for (const ch of query) {
+            const next = text.indexOf(ch, position + 1);
+            if (next < 0) return 0;
+            if (position >= 0) gaps += next - position - 1;
+            position = next;
+        }
+        return Math.max(config.minScore, 55 - gaps * 3);
+    }
+
+    /**
+     * Levenshtein distance, used for misspelled romanisations
+     */
+    function editDistance(a, b) {
+        const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = previous[0];
+            previous[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = previous[j];
+                previous[j] = Math.min(
+                    previous[j] + 1,
+                    previous[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = above;
+            }
+        }
+        return previous[b.length];
+    }
+
+    function scoreEntry(entry, query, queryPhonetic) {
+        let best = 0;
+
+        entry.chinese.forEach(text => {
+            best = Math.max(best, scoreText(query, text));
+        });
+
+        if (/^\d+$/.test(query)) {
+            best = Math.max(best, entry.code.startsWith(query) ? 95 : 0);
+        }
+
+        best = Math.max(best, scoreText(query, entry.english));
+
+        if (entry.county.some(name => name.startsWith(query))) {
+            best = Math.max(best, config.countyScore);
+        }
+
+        if (queryPhonetic.length >= 3) {
+            // Romanisation variants rank below every direct match
+            best = Math.max(best, Math.round(scoreText(queryPhonetic, entry.phonetic) * config.fuzzyWeight));
+
+            // Allow one typo per four letters against the same-length prefix
+            const prefix = entry.phonetic.slice(0, queryPhonetic.length);
+            const distance = editDistance(queryPhonetic, prefix);
+            if (distance <= Math.floor(queryPhonetic.length / 4)) {
+                best = Math.max(best, 45 - distance * 10);
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Search townships; returns [{ feature, score }] best first
+     */
+    function search(text, limit = config.maxResults) {
+        const stripped = stripEnglishSuffix(text);
+        const query = normalize(stripped);
+        if (!query) return [];
+
+        const queryPhonetic = phoneticKey(stripped);
+
+        return entries
+            .map(entry => ({ feature: entry.feature, score: scoreEntry(entry, query, queryPhonetic) }))
+            .filter(result => result.score >= config.minScore)
+            .sort((a, b) => b.score - a.score ||
+                a.feature.properties.FULLNAME.length - b.feature.properties.FULLNAME.length)
+            .slice(0, limit);
+    }
+
+    // Public API
+    return {
+        buildIndex,
+        search,
+        normalize
+    };
+})();
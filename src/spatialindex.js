@@ -0,0 +1,127 @@
+/**
+ * Spatial Index for Taiwan Population Density Map
+ * Uniform grid over feature bounding boxes, used for hit-testing and other
+ * spatial queries instead of scanning every township
+ */
+
+const SpatialIndex = (function() {
+    /**
+     * Bounding box of a Polygon/MultiPolygon geometry as [minX, minY, maxX, maxY]
+     */
+    function computeBBox(geometry) {
+        const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+
+        function processCoords(c) {
+            if (typeof c[0] === 'number') {
+                if (c[0] < bbox[0]) bbox[0] = c[0];
+                if (c[1] < bbox[1]) bbox[1] = c[1];
+                if (c[0] > bbox[2]) bbox[2] = c[0];
+                if (c[1] > bbox[3]) bbox[3] = c[1];
+            } else {
+                c.forEach(processCoords);
+            }
+        }
+
+        processCoords(geometry.coordinates);
+        return bbox;
+    }
+
+    function intersects(a, b) {
+        return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+    }
+
+    /**
+     * Build an index over GeoJSON features.
+     * The grid is sized so there are roughly as many cells as features.
+     */
+    function build(features) {
+        const entries = features.map(feature => ({
+            feature,
+            bbox: computeBBox(feature.geometry)
+        }));
+        const bboxByFeature = new Map(entries.map(e => [e.feature, e.bbox]));
+
+        const extent = [Infinity, Infinity, -Infinity, -Infinity];
+        entries.forEach(({ bbox }) => {
+            extent[0] = Math.min(extent[0], bbox[0]);
+            extent[1] = Math.min(extent[1], bbox[1]);
+            extent[2] = Math.max(extent[2], bbox[2]);
+            extent[3] = Math.max(extent[3], bbox[3]);
+        });
+
+        const width = Math.max(extent[2] - extent[0], 1e-9);
+        const height = Math.max(extent[3] - extent[1], 1e-9);
+        const cellSize = Math.sqrt((width * height) / Math.max(entries.length, 1));
+        const cols = Math.max(1, Math.ceil(width / cellSize));
+        const rows = Math.max(1, Math.ceil(height / cellSize));
+        const cells = new Array(cols * rows);
+
+        function colOf(x) {
+            return Math.min(cols - 1, Math.max(0, Math.floor((x - extent[0]) / cellSize)));
+        }
+
+        function rowOf(y) {
+            return Math.min(rows - 1, Math.max(0, Math.floor((y - extent[1]) / cellSize)));
+        }
+
+        entries.forEach((entry, i) => {
+            for (let r = rowOf(entry.bbox[1]); r <= rowOf(entry.bbox[3]); r++) {
+                for (let c = colOf(entry.bbox[0]); c <= colOf(entry.bbox[2]); c++) {
+                    const key = r * cols + c;
+                    (cells[key] || (cells[key] = [])).push(i);
+                }
+            }
+        });
+
+        /**
+         * Features whose bounding box intersects [minX, minY, maxX, maxY]
+         */
+        function search(bbox) {
+            if (!intersects(bbox, extent)) return [];
+
+            const seen = new Set();
+            const results = [];
+            for (let r = rowOf(bbox[1]); r <= rowOf(bbox[3]); r++) {
+                for (let c = colOf(bbox[0]); c <= colOf(bbox[2]); c++) {
+                    const cell = cells[r * cols + c];
+                    if (!cell) continue;
+                    cell.forEach(i => {
+                        if (!seen.has(i) && intersects(bbox, entries[i].bbox)) {
+                            seen.add(i);
+                            results.push(entries[i].feature);
+                        }
+                    });
+                }
+            }
+            return results;
+        }
+
+        /**
+         * Features whose bounding box contains the point
+         */
+        function searchPoint(lng, lat) {
+            return search([lng, lat, lng, lat]);
+        }
+
+        /**
+         * Bounding box of an indexed feature
+         */
+        function getBBox(feature) {
+            return bboxByFeature.get(feature) || null;
+        }
+
+        return {
+            search,
+            searchPoint,
+            getBBox,
+            extent
+        };
+    }
+
+    // Public API
+    return {
+        build,
+        computeBBox,
+        intersects
+    };
+})();
@@ -0,0 +1,97 @@
+/**
+ * Statistics for Taiwan Population Density Map
+ * Summary, distribution and concentration measures used by the charts and
+ * the selection panel that d3 does not provide: weighted means, kernel
+ * density estimates, Lorenz curves and the Gini coefficient
+ */
+
+const Statistics = (function() {
+    /**
+     * Mean of values weighted by weights (e.g. density weighted by
+     * population: the density the average resident lives at)
+     */
+    function weightedMean(values, weights) {
+        let sum = 0;
+        let totalWeight = 0;
+        values.forEach((v, i) => {
+            sum += v * weights[i];
+            totalWeight += weights[i];
+        });
+        return totalWeight > 0 ? sum / totalWeight : NaN;
+    }
+
+    /**
+     * Silverman's rule-of-thumb bandwidth for a Gaussian kernel
+     */
+    function silvermanBandwidth(values) {
+        const n = values.length;
+        if (n < 2) return 1;
+
+        const sorted = [...values].sort(d3.ascending);
+        const sd = d3.deviation(sorted);
+        const iqr = d3.quantileSorted(sorted, 0.75) - d3.quantileSorted(sorted, 0.25);
+        const spread = Math.min(sd, iqr / 1.34) || sd || 1;
+        return 0.9 * spread * Math.pow(n, -0.2);
+    }
+
+    /**
+     * Gaussian kernel density estimate of values at each x in xs.
+     * Returns [[x, density], ...]; densities integrate to 1.
+     */
+    function kernelDensity(values, xs, bandwidth = silvermanBandwidth(values)) {
+        const n = values.length;
+        const norm = 1 / (n * bandwidth * Math.sqrt(2 * Math.PI));
+        return xs.map(x => {
+            let sum = 0;
+            values.forEach(v => {
+                const u = (x - v) / bandwidth;
+                sum += Math.exp(-0.5 * u * u);
+            });
+            return [x, sum * norm];
+        });
+    }
+
+    /**
+     * Lorenz curve of y against x: items ordered by y / x ascending, with
+     * cumulative shares of x and y. Starts at [0, 0] and ends at [1, 1].
+     */
+    function lorenzCurve(items, xKey, yKey) {
+        const valid = items.filter(d => d[xKey] > 0 && d[yKey] >= 0);
+        const totalX = valid.reduce((sum, d) => sum + d[xKey], 0);
+        const totalY = valid.reduce((sum, d) => sum + d[yKey], 0);
+        if (totalX === 0 || totalY === 0) return [];
+
+        let cumulativeX = 0;
+        let cumulativeY = 0;
+        const points = [[0, 0]];
+        valid
+            .sort((a, b) => a[yKey] / a[xKey] - b[yKey] / b[xKey])
+            .forEach(d => {
+                cumulativeX += d[xKey];
+                cumulativeY += d[yKey];
+                points.push([cumulativeX / totalX, cumulativeY / totalY]);
+            });
+        return points;
+    }
+
+    /**
+     * Gini coefficient from a Lorenz curve (trapezoid rule):
+     * 0 = evenly spread, 1 = all in one place
+     */
+    function gini(points) {
+        let area = 0;
+        for (let i = 1; i < points.length; i++) {
+            area += (points[i][0] - points[i - 1][0]) * (points[i][1] + points[i - 1][1]);
+        }
+        return points.length > 1 ? 1 - area : 0;
+    }
+
+    // Public API
+    return {
+        weightedMean,
+        silvermanBandwidth,
+        kernelDensity,
+        lorenzCurve,
+        gini
+    };
+})();
@@ -0,0 +1,90 @@
+/**
+ * Undo Stack for Taiwan Population Density Map
+ * Undo/redo history of selection changes. Each step holds the townships a
+ * change added and removed, so a batch (a county, a lasso, clearing the
+ * selection) is undone in one go.
+ */
+
+const UndoStack = (function() {
+    // Configuration
+    const config = {
+        maxSteps: 100   // Oldest steps are dropped beyond this
+    };
+
+    /**
+     * Townships added and removed going from set before to set after
+     */
+    function diff(before, after) {
+        return {
+            added: [...after].filter(name => !before.has(name)),
+            removed: [...before].filter(name => !after.has(name))
+        };
+    }
+
+    function isEmpty(step) {
+        return step.added.length === 0 && step.removed.length === 0;
+    }
+
+    /**
+     * The step that reverses step
+     */
+    function invert(step) {
+        return { added: step.removed, removed: step.added };
+    }
+
+    /**
+     * New history. undo() returns the step to apply to reverse the last
+     * change (already inverted); redo() returns the step to apply again.
+     */
+    function create() {
+        const undoSteps = [];
+        const redoSteps = [];
+
+        function push(step) {
+            if (isEmpty(step)) return;
+
+            undoSteps.push(step);
+            if (undoSteps.length > config.maxSteps) {
+                undoSteps.shift();
+            }
+            // A new change abandons the undone branch
+            redoSteps.length = 0;
+        }
+
+        function undo() {
+            const step = undoSteps.pop();
+            if (!step) return null;
+            redoSteps.push(step);
+            return invert(step);
+        }
+
+        function redo() {
+            const step = redoSteps.pop();
+            if (!step) return null;
+            undoSteps.push(step);
+            return step;
+        }
+
+        function clear() {
+            undoSteps.length = 0;
+            redoSteps.length = 0;
+        }
+
+        return {
+            push,
+            undo,
+            redo,
+            clear,
+            canUndo: () => undoSteps.length > 0,
+            canRedo: () => redoSteps.length > 0,
+            peekUndo: () => undoSteps[undoSteps.length - 1] || null,
+            peekRedo: () => redoSteps[redoSteps.length - 1] || null
+        };
+    }
+
+    // Public API
+    return {
+        create,
+        diff
+    };
+})();
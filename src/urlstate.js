@@ -0,0 +1,154 @@
+/**
+ * URL Hash State for Taiwan Population Density Map
+ * Encodes the selection, map view and display options into the URL hash
+ * so a view can be reloaded or shared as a link
+ *
+ * Hash format: #v=lat,lng,zoom&s=<selection>&g=<groups>&y=2023&var=density&cls=jenks,7&b=10,500
+ * Selection groups TOWNCODEs by their 5-digit county code:
+ *   "63000*"          every township in the county
+ *   "65000010020"     county 65000, townships 65000010 and 65000020
+ * Groups are joined with "."
+ *
+ * Named township groups: g=<name>:<selection>|<name>:<selection>
+ */
+
+const UrlState = (function() {
+    const COUNTY_CODE_LENGTH = 5;
+    const TOWN_SUFFIX_LENGTH = 3;
+    const GROUP_SEPARATOR = '.';
+    const WHOLE_COUNTY = '*';
+    const NAME_SEPARATOR = ':';
+    const LIST_SEPARATOR = '|';
+
+    /**
+     * Parse "#a=1&b=2" into { a: '1', b: '2' }
+     */
+    function parseHash(hash) {
+        const params = {};
+        String(hash || '').replace(/^#/, '').split('&').forEach(pair => {
+            if (!pair) return;
+            const index = pair.indexOf('=');
+            const key = index >= 0 ? pair.slice(0, index) : pair;
+            const value = index >= 0 ? pair.slice(index + 1) : '';
+            try {
+                params[decodeURIComponent(key)] = decodeURIComponent(value);
+            } catch (e) {
+                console.warn('UrlState: Ignoring malformed parameter', pair);
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Build a hash from params, skipping empty values.
+     * Commas are left unescaped to keep links readable.
+     */
+    function buildHash(params) {
+        const pairs = Object.entries(params)
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value).replace(/%2C/g, ',')}`);
+        return pairs.length > 0 ? '#' + pairs.join('&') : '';
+    }
+
+    /**
+     * Encode TOWNCODEs compactly.
+     * countyTownCodes: Map county code -> all TOWNCODEs in that county
+     */
+    function encodeSelection(codes, countyTownCodes) {
+        const byCounty = new Map();
+        codes.forEach(code => {
+            const county = code.slice(0, COUNTY_CODE_LENGTH);
+            if (!byCounty.has(county)) {
+                byCounty.set(county, []);
+            }
+            byCounty.get(county).push(code);
+        });
+
+        return [...byCounty.keys()].sort().map(county => {
+            const selected = byCounty.get(county);
+            const all = countyTownCodes.get(county) || [];
+            if (all.length > 0 && selected.length === all.length) {
+                return county + WHOLE_COUNTY;
+            }
+            return county + selected
+                .map(code => code.slice(COUNTY_CODE_LENGTH))
+                .sort()
+                .join('');
+        }).join(GROUP_SEPARATOR);
+    }
+
+    /**
+     * Decode a selection string back into TOWNCODEs
+     */
+    function decodeSelection(text, countyTownCodes) {
+        const codes = [];
+        String(text || '').split(GROUP_SEPARATOR).forEach(group => {
+            const county = group.slice(0, COUNTY_CODE_LENGTH);
+            const rest = group.slice(COUNTY_CODE_LENGTH);
+            if (county.length < COUNTY_CODE_LENGTH) return;
+
+            if (rest === WHOLE_COUNTY) {
+                codes.push(...(countyTownCodes.get(county) || []));
+                return;
+            }
+            for (let i = 0; i + TOWN_SUFFIX_LENGTH <= rest.length; i += TOWN_SUFFIX_LENGTH) {
+                codes.push(county + rest.slice(i, i + TOWN_SUFFIX_LENGTH));
+            }
+        });
+        return codes;
+    }
+
+    /**
+     * Encode named groups [{ name, codes }]; separator characters are
+     * dropped from names
+     */
+    function encodeGroups(groups, countyTownCodes) {
+        return groups.map(group => {
+            const name = group.name.split(NAME_SEPARATOR).join('').split(LIST_SEPARATOR).join('');
+            return name + NAME_SEPARATOR + encodeSelection(group.codes, countyTownCodes);
+        }).join(LIST_SEPARATOR);
+    }
+
+    /**
+     * Decode named groups back into [{ name, codes }]
+     */
+    function decodeGroups(text, countyTownCodes) {
+        return String(text || '').split(LIST_SEPARATOR)
+            .filter(item => item.includes(NAME_SEPARATOR))
+            .map(item => {
+                const index = item.indexOf(NAME_SEPARATOR);
+                return {
+                    name: item.slice(0, index),
+                    codes: decodeSelection(item.slice(index + 1), countyTownCodes)
+                };
+            });
+    }
+
+    /**
+     * "lat,lng,zoom" for a map view
+     */
+    function encodeView(center, zoom) {
+        return `${center.lat.toFixed(4)},${center.lng.toFixed(4)},${zoom}`;
+    }
+
+    /**
+     * Parse "lat,lng,zoom"; returns null when invalid
+     */
+    function decodeView(text) {
+        const parts = String(text || '').split(',').map(Number);
+        if (parts.length !== 3 || parts.some(n => !isFinite(n))) return null;
+        return { center: [parts[0], parts[1]], zoom: parts[2] };
+    }
+
+    // Public API
+    return {
+        parseHash,
+        buildHash,
+        encodeSelection,
+        decodeSelection,
+        encodeGroups,
+        decodeGroups,
+        encodeView,
+        decodeView
+    };
+})();
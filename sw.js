@@ -0,0 +1,122 @@
+/**
+ * Service Worker for Taiwan Population Density Map
+ * Caches the app shell, libraries and data so the map opens offline, and
+ * keeps the base map tiles that have been viewed.
+ *
+ * App files and data are fetched network first (edits show up on reload)
+ * and fall back to the cache; libraries and tiles are served cache first.
+ * Bump CACHE_VERSION to drop old caches.
+ */
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `taiwan-map-shell-${CACHE_VERSION}`;
+const TILE_CACHE = `taiwan-map-tiles-${CACHE_VERSION}`;
+
+// Data files (see DATA_FILES in src/app.js); missing ones are skipped
+const DATA_FILES = [
+    'data/taiwan_townships.topojson',
+    'data/taiwan_townships.geojson',
+    'data/population_timeseries.json',
+    'data/population_data.json'
+];
+
+// Oldest tiles are dropped beyond this
+const MAX_TILES = 3000;
+
+// z/x/y tile paths (CARTO, local tile directories, MBTiles servers)
+const TILE_PATTERN = /\/\d+\/\d+\/\d+(@2x)?\.(png|jpe?g|webp)$/;
+
+self.addEventListener('install', event => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name !== SHELL_CACHE && name !== TILE_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (TILE_PATTERN.test(url.pathname)) {
+        event.respondWith(cacheFirst(request, TILE_CACHE));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
+
+/**
+ * Cache index.html, every script and stylesheet it loads, and the data
+ */
+async function precacheShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    const html = await (await fetch('index.html', { cache: 'no-cache' })).text();
+    const assets = [...html.matchAll(/<(?:script|link)[^>]+(?:src|href)="([^"]+)"/g)].map(match => match[1]);
+
+    await Promise.all(['./', 'index.html', ...assets, ...DATA_FILES].map(async url => {
+        const key = cacheKey(url);
+        const crossOrigin = new URL(key).origin !== self.location.origin;
+        try {
+            const response = await fetch(url, crossOrigin ? { mode: 'no-cors' } : { cache: 'no-cache' });
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(key, response);
+            }
+        } catch (error) {
+            console.warn('Service worker: could not cache', url, error);
+        }
+    }));
+}
+
+/**
+ * Same-origin files are cached without their ?v= query, so a bumped
+ * version still finds the cached copy when offline
+ */
+function cacheKey(url) {
+    const parsed = new URL(url, self.location.href);
+    return parsed.origin === self.location.origin ? parsed.origin + parsed.pathname : parsed.href;
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const key = cacheKey(request.url);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        if (cacheName === TILE_CACHE) {
+            trimCache(cache, MAX_TILES);
+        }
+    }
+    return response;
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,63 @@
+/**
+ * Adjacency graph on the real township boundaries.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+// The modules are browser scripts declaring globals; run them in one context
+function loadModules(files) {
+    const context = vm.createContext({});
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(root, file), 'utf8'), context, { filename: file });
+    });
+    return vm.runInContext('({ SpatialIndex, Adjacency })', context);
+}
+
+const { Adjacency } = loadModules(['src/spatialindex.js', 'src/adjacency.js']);
+const features = JSON.parse(fs.readFileSync(path.join(root, 'data/taiwan_townships.geojson'), 'utf8')).features;
+const graph = Adjacency.build(features, props => props.FULLNAME);
+const countyOf = new Map(features.map(f => [f.properties.FULLNAME, f.properties.COUNTYNAME]));
+const inCounty = county => name => countyOf.get(name) === county;
+
+test('unbounded component spans most of the island', () => {
+    assert.ok(graph.component('臺北市中正區').length > features.length * 0.9);
+});
+
+test('component within a county is a proper subset of it', () => {
+    const region = graph.component('臺北市中正區', inCounty('臺北市'));
+    const taipei = features.filter(f => f.properties.COUNTYNAME === '臺北市');
+
+    assert.strictEqual(region.length, taipei.length);
+    assert.ok(region.length < graph.nodes.length);
+    region.forEach(name => assert.strictEqual(countyOf.get(name), '臺北市'));
+});
+
+test('component within a county leaves out detached islands', () => {
+    const region = graph.component('屏東縣屏東市', inCounty('屏東縣'));
+    const pingtung = features.filter(f => f.properties.COUNTYNAME === '屏東縣').map(f => f.properties.FULLNAME);
+
+    assert.ok(region.length > 1);
+    assert.ok(!region.includes('屏東縣琉球鄉'));
+    assert.ok(region.length < pingtung.length);
+});
+
+test('component is empty when the seed is outside the bound', () => {
+    assert.strictEqual(graph.component('臺北市中正區', inCounty('新北市')).length, 0);
+});
+
+test('building in steps gives the same graph', () => {
+    const builder = Adjacency.createBuilder(features, props => props.FULLNAME);
+    while (!builder.step(5)) { /* keep linking */ }
+    const stepped = builder.finish();
+
+    graph.nodes.forEach(name => {
+        assert.deepStrictEqual([...stepped.getNeighbors(name)].sort(), [...graph.getNeighbors(name)].sort());
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Geometry metrics on small hand-made shapes.
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const root = path.join(__dirname, '..');
+
+// The module is a browser script declaring a global; run it in a context
+const context = vm.createContext({});
+vm.runInContext(fs.readFileSync(path.join(root, 'src/geometry.js'), 'utf8'), context, { filename: 'src/geometry.js' });
+const Geometry = vm.runInContext('Geometry', context);
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+// At the equator one degree is about 111.2 km either way
+const DEGREE_KM = 6371.0088 * Math.PI / 180;
+
+function assertClose(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+}
+
+function assertInside(point, [minX, minY, maxX, maxY]) {
+    assert.ok(point.lng > minX && point.lng < maxX && point.lat > minY && point.lat < maxY,
+        `${point.lng}, ${point.lat} is outside ${minX}, ${minY} - ${maxX}, ${maxY}`);
+}
+
+test('unit square at the equator', () => {
+    const geometry = { type: 'Polygon', coordinates: [square(0, 0, 1)] };
+    const metrics = Geometry.measure(geometry);
+
+    assertClose(metrics.centroid[0], 0.5, 1e-9);
+    assertClose(metrics.centroid[1], 0.5, 1e-9);
+    assert.deepStrictEqual([...metrics.bbox], [0, 0, 1, 1]);
+    assertClose(metrics.area, DEGREE_KM * DEGREE_KM, DEGREE_KM * DEGREE_KM * 0.001);
+    assertClose(metrics.perimeter, 4 * DEGREE_KM, 4 * DEGREE_KM * 0.001);
+
+    const pole = Geometry.pole(geometry);
+    assertClose(pole.lng, 0.5, 0.02);
+    assertClose(pole.lat, 0.5, 0.02);
+    assertClose(pole.radius, 0.5, 0.02);
+});
+
+test('MultiPolygon with an island', () => {
+    const geometry = {
+        type: 'MultiPolygon',
+        coordinates: [[square(0, 0, 2)], [square(3, 0, 1)]]
+    };
+    const metrics = Geometry.measure(geometry);
+
+    // Weighted 4:1 by area, the island pulls the centroid east
+    assertClose(metrics.centroid[0], (4 * 1 + 1 * 3.5) / 5, 1e-9);
+    assertClose(metrics.centroid[1], (4 * 1 + 1 * 0.5) / 5, 1e-9);
+    assert.deepStrictEqual([...metrics.bbox], [0, 0, 4, 2]);
+
+    const mainland = Geometry.geodesicArea({ type: 'Polygon', coordinates: [square(0, 0, 2)] });
+    const island = Geometry.geodesicArea({ type: 'Polygon', coordinates: [square(3, 0, 1)] });
+    assertClose(metrics.area, mainland + island, 1e-6);
+
+    // The label goes on the larger part
+    assertInside(Geometry.pole(geometry), [0, 0, 2, 2]);
+});
+
+test('polygon with a hole', () => {
+    const geometry = {
+        type: 'Polygon',
+        coordinates: [square(0, 0, 4), square(0.5, 0.5, 2).reverse()]
+    };
+    const metrics = Geometry.measure(geometry);
+
+    // 16 minus a 4 centred at (1.5, 1.5): the centroid moves away from it
+    assertClose(metrics.centroid[0], (16 * 2 - 4 * 1.5) / 12, 1e-9);
+    assertClose(metrics.centroid[1], (16 * 2 - 4 * 1.5) / 12, 1e-9);
+
+    const outer = Geometry.geodesicArea({ type: 'Polygon', coordinates: [square(0, 0, 4)] });
+    const hole = Geometry.geodesicArea({ type: 'Polygon', coordinates: [square(0.5, 0.5, 2)] });
+    assertClose(metrics.area, outer - hole, 1e-6);
+    assertClose(metrics.perimeter, (16 + 8) * DEGREE_KM, (16 + 8) * DEGREE_KM * 0.01);
+
+    // Inside the outer ring and clear of the hole
+    const pole = Geometry.pole(geometry);
+    assertInside(pole, [0, 0, 4, 4]);
+    assert.ok(!(pole.lng > 0.5 && pole.lng < 2.5 && pole.lat > 0.5 && pole.lat < 2.5));
+    assert.ok(pole.radius > 0);
+});